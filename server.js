@@ -7,12 +7,23 @@ const path = require('path');
 const manifestHandler = require('./src/handlers/manifestHandler');
 const catalogHandler = require('./src/handlers/catalogHandler');
 const metaHandler = require('./src/handlers/metaHandler');
+const episodesHandler = require('./src/handlers/episodesHandler');
 const installationPageHandler = require('./src/handlers/installationPageHandler');
 const TVDBService = require('./src/services/tvdbService');
 const RatingService = require('./src/services/ratingService');
+const CatalogService = require('./src/services/catalogService');
+const TMDBService = require('./src/services/tmdbService');
+const IdMappingService = require('./src/services/idMappingService');
+const KitsuService = require('./src/services/kitsuService');
+const JikanService = require('./src/services/jikanService');
+const CompanyService = require('./src/services/companyService');
+const CollectionService = require('./src/services/collectionService');
 const { errorHandler } = require('./src/utils/errorHandler');
 const { requestLogger, logger } = require('./src/utils/logger');
 const CacheFactory = require('./src/services/cache/cacheFactory');
+const userConfig = require('./src/config/userConfig');
+const { isValidTvdbLanguage } = require('./src/utils/languageMap');
+const { getBaseUrl } = require('./src/utils/urlBuilder');
 
 
 // =====================
@@ -51,6 +62,8 @@ function logEnvVar(name, value, opts = {}) {
 logEnvVar('TVDB_API_KEY', process.env.TVDB_API_KEY, { required: true, sensitive: true });
 // OMDB_API_KEY (optional, always hidden)
 logEnvVar('OMDB_API_KEY', process.env.OMDB_API_KEY, { fallback: 'imdbapi.dev fallback' });
+// TMDB_API_KEY (optional, enables catalog mode)
+logEnvVar('TMDB_API_KEY', process.env.TMDB_API_KEY, { sensitive: true });
 // BASE_URL (optional)
 logEnvVar('BASE_URL', process.env.BASE_URL, { fallback: 'auto-detect from request headers' });
 // PORT (optional, default 3000)
@@ -81,7 +94,26 @@ try {
     logger.error('❌ Failed to initialize Rating service:', error.message);
 }
 
-const tvdbService = new TVDBService(cacheService, ratingService, logger);
+let tmdbService = null;
+if (catalogConfig.validateApiKeys().configured.TMDB_API_KEY) {
+    tmdbService = new TMDBService(process.env.TMDB_API_KEY, logger);
+    logger.info('🎞️ TMDB service initialized - TMDB movie catalogs and artwork fallback enabled');
+}
+
+const tvdbService = new TVDBService(cacheService, ratingService, logger, { tmdbService });
+const kitsuService = new KitsuService(logger);
+const jikanService = new JikanService(logger);
+const idMappingService = new IdMappingService(tvdbService, cacheService, logger, { kitsuService, jikanService });
+const companyService = new CompanyService(tvdbService, cacheService, logger);
+const collectionService = new CollectionService(tvdbService, cacheService, logger);
+
+const catalogService = new CatalogService(tvdbService, cacheService, logger, {
+    tmdbService,
+    idMappingService,
+    kitsuService,
+    jikanService,
+    companyService
+});
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -113,42 +145,84 @@ app.get('/api/app-config', (req, res) => {
 
 app.get('/api/config', (req, res) => {
     const isTmdbConfigured = !!(process.env.TMDB_API_KEY && process.env.TMDB_API_KEY.trim() !== '');
-    
-    const userConfig = {
-        language: req.query.language || 'eng',
-        isTmdbConfigured: isTmdbConfigured,
-        enabledCatalogs: {
-            movies: ['tmdb-popular', 'tmdb-trending'],
-            series: ['tvdb-popular', 'tvdb-trending'],
-            anime: ['kitsu-trending', 'kitsu-popular']
-        },
-        preferences: {
-            showAdultContent: false,
-            preferredRegion: 'US',
-            maxResults: 20
-        }
-    };
-    res.json(userConfig);
+    const config = userConfig.decode(req.query.config);
+
+    res.json({
+        ...config,
+        token: userConfig.encode(config),
+        isTmdbConfigured: isTmdbConfigured
+    });
 });
 
 app.post('/api/config', express.json(), (req, res) => {
-    res.json({ success: true, message: 'Configuration saved successfully' });
+    const body = req.body || {};
+
+    if (body.language !== undefined && !isValidTvdbLanguage(body.language)) {
+        return res.status(400).json({ success: false, error: `Unsupported language: ${body.language}` });
+    }
+    if (body.catalogs !== undefined && body.catalogs !== null && !Array.isArray(body.catalogs)) {
+        return res.status(400).json({ success: false, error: 'catalogs must be an array of catalog IDs' });
+    }
+
+    const token = userConfig.encode(body);
+    const config = userConfig.decode(token);
+
+    res.json({
+        success: true,
+        token: token,
+        config: config,
+        manifestUrl: `${getBaseUrl(req)}/${token}/manifest.json`
+    });
+});
+
+// Company search for network and studio rows on the configuration page
+app.get('/api/companies', async (req, res) => {
+    const query = String(req.query.query || '').trim();
+    if (query.length < 2) {
+        return res.status(400).json({ error: 'query must be at least 2 characters' });
+    }
+
+    try {
+        const companies = await companyService.searchCompanies(query);
+        res.json({ companies });
+    } catch (error) {
+        logger.error('Company search error:', error.message);
+        res.status(500).json({ error: 'Failed to search companies' });
+    }
+});
+
+// Movie collection search for collection rows on the configuration page
+app.get('/api/collections', async (req, res) => {
+    const query = String(req.query.query || '').trim();
+    if (query.length < 2) {
+        return res.status(400).json({ error: 'query must be at least 2 characters' });
+    }
+
+    try {
+        const collections = await collectionService.searchCollections(query);
+        res.json({ collections });
+    } catch (error) {
+        logger.error('Collection search error:', error.message);
+        res.status(500).json({ error: 'Failed to search collections' });
+    }
 });
 
 // Routes
 app.get('/', (req, res) => installationPageHandler(req, res, logger));
 
-// Language-specific routes
-app.get('/:language/manifest.json', (req, res) => manifestHandler(req, res, logger));
-app.get('/:language/catalog/:type/:id/:extra?.json', (req, res) => catalogHandler(req, res, tvdbService, logger));
-app.get('/:language/catalog/:type/:id.json', (req, res) => catalogHandler(req, res, tvdbService, logger));
-app.get('/:language/meta/:type/:id.json', (req, res) => metaHandler(req, res, tvdbService, logger));
+// Configured routes - :config is a language code or a per-install configuration token
+app.get('/:config/manifest.json', (req, res) => manifestHandler(req, res, logger, companyService, collectionService));
+app.get('/:config/catalog/:type/:id/:extra?.json', (req, res) => catalogHandler(req, res, tvdbService, catalogService, logger));
+app.get('/:config/catalog/:type/:id.json', (req, res) => catalogHandler(req, res, tvdbService, catalogService, logger));
+app.get('/:config/meta/:type/:id.json', (req, res) => metaHandler(req, res, tvdbService, idMappingService, logger));
+app.get('/:config/episodes/:id/:season.json', (req, res) => episodesHandler(req, res, tvdbService, idMappingService, logger));
 
 // Default routes (English)
-app.get('/manifest.json', (req, res) => manifestHandler(req, res, logger));
-app.get('/catalog/:type/:id/:extra?.json', (req, res) => catalogHandler(req, res, tvdbService, logger));
-app.get('/catalog/:type/:id.json', (req, res) => catalogHandler(req, res, tvdbService, logger));
-app.get('/meta/:type/:id.json', (req, res) => metaHandler(req, res, tvdbService, logger));
+app.get('/manifest.json', (req, res) => manifestHandler(req, res, logger, companyService, collectionService));
+app.get('/catalog/:type/:id/:extra?.json', (req, res) => catalogHandler(req, res, tvdbService, catalogService, logger));
+app.get('/catalog/:type/:id.json', (req, res) => catalogHandler(req, res, tvdbService, catalogService, logger));
+app.get('/meta/:type/:id.json', (req, res) => metaHandler(req, res, tvdbService, idMappingService, logger));
+app.get('/episodes/:id/:season.json', (req, res) => episodesHandler(req, res, tvdbService, idMappingService, logger));
 
 app.get('/health', async (req, res) => {
     try {
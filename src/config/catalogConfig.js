@@ -4,6 +4,7 @@
  */
 
 const envValidator = require('../utils/envValidator');
+const { getFilterExtras } = require('../utils/catalogFilters');
 
 class CatalogConfig {
     constructor() {
@@ -111,8 +112,21 @@ class CatalogConfig {
                 order: 3,
                 extra: [{ name: 'skip', isRequired: false }]
             },
+            'tvdb-airing-this-week': {
+                id: 'tvdb-airing-this-week',
+                type: 'series',
+                name: 'TVDB - Airing This Week',
+                icon: 'fas fa-calendar-week',
+                tooltip: 'Series with an episode airing in the previous or next seven days, by air time',
+                provider: 'calendar',
+                category: 'airing-week',
+                requiredApiKeys: ['TVDB_API_KEY'],
+                defaultEnabled: false,
+                order: 4,
+                extra: [{ name: 'skip', isRequired: false }]
+            },
 
-            // Anime catalogs (future extension point)
+            // Anime catalogs - served to Stremio as series (see getStremioType)
             'kitsu-trending-anime': {
                 id: 'kitsu-trending-anime',
                 type: 'anime',
@@ -121,7 +135,7 @@ class CatalogConfig {
                 tooltip: 'Trending anime from Kitsu',
                 provider: 'kitsu',
                 category: 'trending',
-                requiredApiKeys: ['KITSU_API_KEY'],
+                requiredApiKeys: [], // Kitsu's public API needs no key
                 defaultEnabled: false,
                 order: 1,
                 extra: [{ name: 'skip', isRequired: false }]
@@ -141,11 +155,37 @@ class CatalogConfig {
             }
         };
 
+        // TVDB lists configured by the admin (TVDB_LISTS), after the fixed catalogs, one catalog per content type
+        this.getAdminListRefs().forEach(({ ref, name }, index) => {
+            ['movie', 'series'].forEach(type => {
+                const definition = this.createListDefinition(ref, name, index + 1, type);
+                this.catalogDefinitions[definition.id] = definition;
+            });
+        });
+
+        // Search catalogs, served in every mode
+        this.searchCatalogs = [
+            {
+                type: 'movie',
+                id: 'tvdb-movies',
+                name: 'TVDB - Movies (Search)',
+                extra: [{ name: 'search', isRequired: true }, { name: 'skip', isRequired: false }]
+            },
+            {
+                type: 'series',
+                id: 'tvdb-series',
+                name: 'TVDB - Series & Anime (Search)',
+                extra: [{ name: 'search', isRequired: true }, { name: 'skip', isRequired: false }]
+            }
+        ];
+
         // Frontend UI tabs configuration
         this.uiTabs = [
             { id: 'movies', name: 'Movies', icon: 'fas fa-film' },
             { id: 'series', name: 'TV Series', icon: 'fas fa-tv' },
-            { id: 'anime', name: 'Anime', icon: 'fas fa-dragon' }
+            { id: 'anime', name: 'Anime', icon: 'fas fa-dragon' },
+            { id: 'lists', name: 'Lists', icon: 'fas fa-list' },
+            { id: 'companies', name: 'Networks & Studios', icon: 'fas fa-building' }
         ];
 
         // API key validation rules
@@ -153,10 +193,108 @@ class CatalogConfig {
             'TVDB_API_KEY': {
                 required: true,
                 description: 'TVDB API key from thetvdb.com'
+            },
+            'TMDB_API_KEY': {
+                required: false,
+                description: 'TMDB API key from themoviedb.org (enables catalog mode)'
             }
         };
     }
 
+    /**
+     * Parse TVDB_LISTS: comma-separated TVDB list ids or slugs, each with an optional display name
+     * e.g. "1234,best-of-2024:Best of 2024"
+     * @returns {Array} [{ ref, name }]
+     */
+    getAdminListRefs() {
+        return (process.env.TVDB_LISTS || '')
+            .split(',')
+            .map(entry => entry.trim())
+            .filter(Boolean)
+            .map(entry => {
+                const separator = entry.indexOf(':');
+                const ref = (separator === -1 ? entry : entry.substring(0, separator)).trim().toLowerCase();
+                const name = separator === -1 ? null : entry.substring(separator + 1).trim() || null;
+                return { ref, name };
+            })
+            .filter(({ ref }) => /^[a-z0-9-]+$/.test(ref));
+    }
+
+    /**
+     * Build the catalog definition of one content type of a TVDB list
+     * Stremio catalogs have a single type, so each list is served as a movie and a series catalog
+     * @param {string} ref - TVDB list id or slug
+     * @param {string|null} name - Display name, defaults to one derived from the slug
+     * @param {number} order - Position among the list catalogs
+     * @param {string} type - 'movie' or 'series'
+     * @returns {Object} Catalog definition
+     */
+    createListDefinition(ref, name = null, order = 1, type = 'series') {
+        const displayName = name || (/^\d+$/.test(ref)
+            ? `List ${ref}`
+            : ref.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' '));
+
+        return {
+            id: `tvdb-list-${type}-${ref}`,
+            type,
+            name: `TVDB - ${displayName}`,
+            icon: type === 'movie' ? 'fas fa-film' : 'fas fa-tv',
+            tooltip: `${type === 'movie' ? 'Movies' : 'Series'} from the TVDB list "${displayName}"`,
+            provider: 'list',
+            category: ref,
+            requiredApiKeys: ['TVDB_API_KEY'],
+            defaultEnabled: true,
+            order,
+            extra: [{ name: 'skip', isRequired: false }]
+        };
+    }
+
+    /**
+     * Build the catalog definition of a movie collection (an official TVDB list), listed in release order
+     * @param {string} listId - TVDB list id
+     * @returns {Object} Catalog definition
+     */
+    createCollectionDefinition(listId) {
+        return {
+            id: `tvdb-collection-${listId}`,
+            type: 'movie',
+            name: `TVDB - Collection ${listId}`,
+            icon: 'fas fa-layer-group',
+            tooltip: `Movies of TVDB collection ${listId} in release order`,
+            provider: 'list',
+            category: listId,
+            listOrder: 'release',
+            requiredApiKeys: ['TVDB_API_KEY'],
+            defaultEnabled: true,
+            order: 1,
+            extra: [{ name: 'skip', isRequired: false }]
+        };
+    }
+
+    /**
+     * Build the catalog definition of a network or studio row
+     * The manifest name is replaced with the company name when the manifest is served
+     * @param {string} type - 'movie' or 'series'
+     * @param {string} companyId - TVDB company id
+     * @returns {Object} Catalog definition
+     */
+    createCompanyDefinition(type, companyId) {
+        return {
+            id: `tvdb-company-${type}-${companyId}`,
+            type,
+            name: `TVDB - Company ${companyId}`,
+            icon: 'fas fa-building',
+            tooltip: `${type === 'movie' ? 'Movies' : 'Series'} from TVDB company ${companyId}`,
+            provider: 'tvdb',
+            category: 'company',
+            companyId,
+            requiredApiKeys: ['TVDB_API_KEY'],
+            defaultEnabled: true,
+            order: 1,
+            extra: [{ name: 'skip', isRequired: false }]
+        };
+    }
+
     /**
      * Determine the current addon mode based on available API keys
      * @returns {Object} Mode information
@@ -212,51 +350,76 @@ class CatalogConfig {
      */
     getCatalogsByType() {
         const result = {};
-        const types = ['movie', 'series', 'anime'];
+        const tabIds = { movie: 'movies', series: 'series', anime: 'anime' };
 
-        types.forEach(type => {
-            result[type === 'anime' ? 'anime' : type === 'movie' ? 'movies' : 'series'] = 
-                this.getAvailableCatalogs(type);
+        Object.entries(tabIds).forEach(([type, tabId]) => {
+            result[tabId] = this.getAvailableCatalogs(type).filter(catalog => catalog.provider !== 'list');
         });
+        // Lists have a movie and a series catalog each, both shown in the Lists tab
+        result.lists = this.getAvailableCatalogs().filter(catalog => catalog.provider === 'list');
 
         return result;
     }
 
     /**
      * Get Stremio manifest catalogs for current mode
+     * @param {Array|null} selectedCatalogIds - Catalog IDs chosen for this install, in display order (null = all available)
      * @returns {Array} Stremio-compatible catalog definitions
      */
-    getManifestCatalogs() {
+    getManifestCatalogs(selectedCatalogIds = null) {
         const currentMode = this.getCurrentMode();
-        const availableCatalogs = this.getAvailableCatalogs();
+        let availableCatalogs = this.getAvailableCatalogs();
+
+        if (Array.isArray(selectedCatalogIds)) {
+            // getCatalogById also resolves TVDB lists and company rows added per install
+            availableCatalogs = selectedCatalogIds
+                .map(catalogId => this.getCatalogById(catalogId))
+                .filter(catalog => catalog && this.isCatalogAvailable(catalog.id));
+        }
 
         if (currentMode.id === 'search-only') {
             // Always provide a minimal search catalog for movies and series
-            return [
-                {
-                    type: 'movie',
-                    id: 'tvdb-movies',
-                    name: 'TVDB - Movies (Search)',
-                    extra: [{ name: 'search', isRequired: true }]
-                },
-                {
-                    type: 'series',
-                    id: 'tvdb-series',
-                    name: 'TVDB - Series & Anime (Search)',
-                    extra: [{ name: 'search', isRequired: true }]
-                }
-            ];
+            return [...this.searchCatalogs];
         } else {
-            // For catalog mode, include all available catalogs
-            return availableCatalogs.map(catalog => ({
-                type: catalog.type,
+            // For catalog mode, include all available catalogs followed by the search catalogs
+            const browseCatalogs = availableCatalogs.map(catalog => ({
+                type: this.getStremioType(catalog),
                 id: catalog.id,
                 name: catalog.name,
-                extra: catalog.extra
+                extra: this.getCatalogExtra(catalog)
             }));
+            return [...browseCatalogs, ...this.searchCatalogs];
         }
     }
 
+    /**
+     * Get the manifest `extra` of a browse catalog: its own entries plus the genre, year and status filters
+     * @param {Object} catalog - Catalog definition
+     * @returns {Array} Stremio extra definitions
+     */
+    getCatalogExtra(catalog) {
+        return [...catalog.extra, ...getFilterExtras(this.getStremioType(catalog))];
+    }
+
+    /**
+     * Get the Stremio content type a catalog is served as.
+     * Stremio has no anime type, anime catalogs list TVDB series.
+     * @param {Object} catalog - Catalog definition
+     * @returns {string} Stremio content type ('movie' or 'series')
+     */
+    getStremioType(catalog) {
+        return catalog.type === 'anime' ? 'series' : catalog.type;
+    }
+
+    /**
+     * Check if a catalog ID is one of the search catalogs
+     * @param {string} catalogId - Catalog ID
+     * @returns {boolean} Whether the catalog is a search catalog
+     */
+    isSearchCatalog(catalogId) {
+        return this.searchCatalogs.some(catalog => catalog.id === catalogId);
+    }
+
     /**
      * Get default toggle states for frontend
      * @returns {Object} Default toggle states by type
@@ -324,7 +487,43 @@ class CatalogConfig {
      * @returns {Object|null} Catalog configuration
      */
     getCatalogById(catalogId) {
-        return this.catalogDefinitions[catalogId] || null;
+        if (this.catalogDefinitions[catalogId]) {
+            return this.catalogDefinitions[catalogId];
+        }
+
+        if (typeof catalogId !== 'string') {
+            return null;
+        }
+
+        // TVDB lists, collections and company rows are added per install, their catalog ids carry the list or company
+        const listMatch = catalogId.match(/^tvdb-list-(movie|series)-([a-z0-9-]+)$/);
+        if (listMatch) {
+            return this.createListDefinition(listMatch[2], null, 1, listMatch[1]);
+        }
+
+        const collectionMatch = catalogId.match(/^tvdb-collection-(\d+)$/);
+        if (collectionMatch) {
+            return this.createCollectionDefinition(collectionMatch[1]);
+        }
+
+        const companyMatch = catalogId.match(/^tvdb-company-(movie|series)-(\d+)$/);
+        return companyMatch ? this.createCompanyDefinition(companyMatch[1], companyMatch[2]) : null;
+    }
+
+    /**
+     * Expand a catalog id from an install token: untyped `tvdb-list-<ref>` ids (tokens made before lists had
+     * a catalog per type) become the list's movie and series catalogs
+     * @param {string} catalogId - Catalog ID
+     * @returns {Array} Catalog IDs
+     */
+    expandCatalogId(catalogId) {
+        if (typeof catalogId === 'string' && !this.getCatalogById(catalogId)) {
+            const legacyList = catalogId.match(/^tvdb-list-([a-z0-9-]+)$/);
+            if (legacyList) {
+                return [`tvdb-list-movie-${legacyList[1]}`, `tvdb-list-series-${legacyList[1]}`];
+            }
+        }
+        return [catalogId];
     }
 
     /**
@@ -350,6 +549,7 @@ class CatalogConfig {
         const baseUrl = getBaseUrl(req);
         const currentMode = this.getCurrentMode();
         const uiConfig = this.getUIConfig();
+        const userConfig = require('./userConfig');
 
         // Only send the unique prefix for each mode; frontend will append the shared suffix and logo
         const description = currentMode.id === 'catalog'
@@ -370,9 +570,10 @@ class CatalogConfig {
                 catalogs: uiConfig.catalogs,
                 defaultToggles: uiConfig.defaultToggles,
                 icons: uiConfig.icons,
-                tooltips: uiConfig.tooltips
+                tooltips: uiConfig.tooltips,
+                preferences: userConfig.getPreferencesUI()
             },
-            manifestUrlTemplate: `${baseUrl}/{{LANG}}/manifest.json`,
+            manifestUrlTemplate: `${baseUrl}/{{CONFIG}}/manifest.json`,
             supportedTypes: ['movie', 'series'],
             features: {
                 catalogCustomization: currentMode.id === 'catalog',
@@ -0,0 +1,297 @@
+/**
+ * Per-install User Configuration
+ * Encodes and decodes the configuration token carried in install URLs (/{config}/manifest.json)
+ *
+ * Token format: base64url-encoded JSON with short keys to keep URLs compact
+ *   { "l": "fra", "c": ["tvdb-popular-series", "tmdb-popular-movies"], "p": { "m": 40 } }
+ *   l = TVDB language, c = enabled catalogs in display order, p = non-default preferences
+ *
+ * A plain 3-letter language code (e.g. /fra/manifest.json) is still accepted as a token.
+ */
+
+const catalogConfig = require('./catalogConfig');
+const { isValidTvdbLanguage, DEFAULT_LANGUAGE } = require('../utils/languageMap');
+
+class UserConfig {
+    constructor() {
+        // Preference definitions - `key` is the short name used inside the token
+        this.preferenceDefinitions = {
+            maxResults: {
+                key: 'm',
+                type: 'select',
+                label: 'Search Results',
+                icon: 'fas fa-list-ol',
+                description: 'Maximum number of results requested from TVDB per search',
+                default: 20,
+                options: [
+                    { value: 10, label: '10 results' },
+                    { value: 20, label: '20 results - Default' },
+                    { value: 40, label: '40 results' },
+                    { value: 50, label: '50 results' }
+                ]
+            },
+            episodeOrder: {
+                key: 'o',
+                type: 'select',
+                label: 'Episode Order',
+                icon: 'fas fa-sort-numeric-down',
+                description: 'TVDB episode numbering used for series episodes. Series without the chosen order use aired order',
+                default: 'default',
+                affectsMeta: true,
+                options: [
+                    { value: 'default', label: 'Aired order - Default' },
+                    { value: 'absolute', label: 'Absolute order' },
+                    { value: 'dvd', label: 'DVD order' }
+                ]
+            },
+            specials: {
+                key: 's',
+                type: 'select',
+                label: 'Specials',
+                icon: 'fas fa-star',
+                description: 'Placement of season 0 specials. Interleaved specials keep their season 0 video ids for stream addons',
+                default: 'season',
+                affectsMeta: true,
+                options: [
+                    { value: 'season', label: 'Separate season - Default' },
+                    { value: 'interleave', label: 'Between episodes, in broadcast order' },
+                    { value: 'hide', label: 'Hidden' }
+                ]
+            },
+            lazyEpisodes: {
+                key: 'z',
+                type: 'boolean',
+                label: 'Load Episodes per Season',
+                icon: 'fas fa-layer-group',
+                description: 'Send untranslated episode lists with series details and translate one season at a time. Faster for very long series',
+                default: false,
+                affectsMeta: true
+            },
+            qualityGate: {
+                key: 'q',
+                type: 'select',
+                label: 'Content Quality Filter',
+                icon: 'fas fa-filter',
+                description: 'Titles kept in search and catalogs. Titles without an IMDb id open through their TVDB id, but most stream addons only match IMDb ids',
+                default: 'strict',
+                affectsMeta: true,
+                options: [
+                    { value: 'strict', label: 'IMDb id and poster - Default' },
+                    { value: 'poster', label: 'Poster only' },
+                    { value: 'off', label: 'Show everything' }
+                ]
+            },
+            castLimit: {
+                key: 'k',
+                type: 'select',
+                label: 'Cast Size',
+                icon: 'fas fa-users',
+                description: 'Number of people listed in the cast of movies and series, in TVDB credit order',
+                default: 5,
+                affectsMeta: true,
+                options: [
+                    { value: 5, label: '5 people - Default' },
+                    { value: 10, label: '10 people' },
+                    { value: 20, label: '20 people' }
+                ]
+            },
+            castTypes: {
+                key: 't',
+                type: 'select',
+                label: 'Cast Credits',
+                icon: 'fas fa-theater-masks',
+                description: 'Credits listed in the cast, with their character and photo',
+                default: 'actors',
+                affectsMeta: true,
+                options: [
+                    { value: 'actors', label: 'Actors only - Default' },
+                    { value: 'guests', label: 'Actors and guest stars' },
+                    { value: 'all', label: 'Actors, guest stars, directors and writers' }
+                ]
+            },
+            maxCertification: {
+                key: 'r',
+                type: 'select',
+                label: 'Maximum Certification',
+                icon: 'fas fa-child',
+                description: 'Hide titles rated above this age in search and catalogs. Ratings are read for your language\'s region first, then the US; unrated titles are shown',
+                default: 'off',
+                options: [
+                    { value: 'off', label: 'No limit - Default' },
+                    { value: 0, label: 'All ages (G, TV-G, U, FSK 0)' },
+                    { value: 7, label: 'Up to 7 (TV-Y7, FSK 6)' },
+                    { value: 10, label: 'Up to 10 (PG, TV-PG)' },
+                    { value: 13, label: 'Up to 13 (PG-13, 12A, FSK 12)' },
+                    { value: 14, label: 'Up to 14 (TV-14)' },
+                    { value: 16, label: 'Up to 16 (15, FSK 16)' }
+                ]
+            }
+        };
+    }
+
+    /**
+     * Build the default configuration
+     * @param {string} language - TVDB language code
+     * @returns {Object} Configuration with default catalogs and preferences
+     */
+    getDefaults(language = DEFAULT_LANGUAGE) {
+        return {
+            language,
+            catalogs: null, // null = every available catalog, in default order
+            preferences: this.getDefaultPreferences()
+        };
+    }
+
+    /**
+     * @returns {Object} Default value of every preference
+     */
+    getDefaultPreferences() {
+        const preferences = {};
+        Object.entries(this.preferenceDefinitions).forEach(([name, definition]) => {
+            preferences[name] = definition.default;
+        });
+        return preferences;
+    }
+
+    /**
+     * Decode the configuration from the `:config` route parameter
+     * @param {Object} req - Express request object
+     * @returns {Object} Decoded configuration ({ language, catalogs, preferences })
+     */
+    fromRequest(req) {
+        return this.decode(req.params?.config);
+    }
+
+    /**
+     * Decode a configuration token
+     * Invalid or unknown values fall back to their defaults
+     * @param {string} token - Language code or base64url configuration token
+     * @returns {Object} Decoded configuration ({ language, catalogs, preferences })
+     */
+    decode(token) {
+        if (!token) {
+            return this.getDefaults();
+        }
+
+        if (/^[a-z]{3}$/.test(token)) {
+            return this.getDefaults(token);
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+        } catch (error) {
+            return this.getDefaults();
+        }
+
+        if (!payload || typeof payload !== 'object') {
+            return this.getDefaults();
+        }
+
+        const language = typeof payload.l === 'string' && isValidTvdbLanguage(payload.l) ? payload.l : DEFAULT_LANGUAGE;
+        const config = this.getDefaults(language);
+
+        if (Array.isArray(payload.c)) {
+            config.catalogs = [...new Set(payload.c.flatMap(catalogId => catalogConfig.expandCatalogId(catalogId)))]
+                .filter(catalogId => typeof catalogId === 'string' && catalogConfig.getCatalogById(catalogId));
+        }
+
+        if (payload.p && typeof payload.p === 'object') {
+            Object.entries(this.preferenceDefinitions).forEach(([name, definition]) => {
+                if (payload.p[definition.key] !== undefined) {
+                    const value = this.normalizePreference(definition, payload.p[definition.key]);
+                    if (value !== undefined) {
+                        config.preferences[name] = value;
+                    }
+                }
+            });
+        }
+
+        return config;
+    }
+
+    /**
+     * Encode a configuration into a URL token
+     * Returns the bare language code when nothing else differs from the defaults
+     * @param {Object} config - { language, catalogs, preferences }
+     * @returns {string} Configuration token
+     */
+    encode(config = {}) {
+        const language = isValidTvdbLanguage(config.language) ? config.language : DEFAULT_LANGUAGE;
+        const payload = { l: language };
+
+        if (Array.isArray(config.catalogs)) {
+            payload.c = config.catalogs
+                .flatMap(catalogId => catalogConfig.expandCatalogId(catalogId))
+                .filter(catalogId => catalogConfig.getCatalogById(catalogId));
+        }
+
+        const preferences = {};
+        Object.entries(this.preferenceDefinitions).forEach(([name, definition]) => {
+            const value = this.normalizePreference(definition, config.preferences?.[name]);
+            if (value !== undefined && value !== definition.default) {
+                preferences[definition.key] = value;
+            }
+        });
+        if (Object.keys(preferences).length > 0) {
+            payload.p = preferences;
+        }
+
+        if (!payload.c && !payload.p) {
+            return language;
+        }
+
+        return Buffer.from(JSON.stringify(payload), 'utf8').toString('base64url');
+    }
+
+    /**
+     * Validate a preference value against its definition
+     * @returns {*} Normalized value, or undefined when invalid
+     */
+    normalizePreference(definition, value) {
+        if (value === undefined || value === null) return undefined;
+
+        switch (definition.type) {
+            case 'boolean':
+                return typeof value === 'boolean' ? value : undefined;
+            case 'select': {
+                const option = definition.options.find(opt => String(opt.value) === String(value));
+                return option ? option.value : undefined;
+            }
+            default:
+                return undefined;
+        }
+    }
+
+    /**
+     * Build the cache variant for preferences that change meta responses
+     * @param {Object} preferences - Decoded preferences
+     * @returns {string} e.g. 'o=absolute', or '' when all of them are at their defaults
+     */
+    getMetaVariant(preferences = {}) {
+        return Object.entries(this.preferenceDefinitions)
+            .filter(([name, definition]) => definition.affectsMeta &&
+                preferences[name] !== undefined && preferences[name] !== definition.default)
+            .map(([name, definition]) => `${definition.key}=${preferences[name]}`)
+            .join('&');
+    }
+
+    /**
+     * Get preference definitions for the configuration page
+     * @returns {Array} Preference UI descriptors
+     */
+    getPreferencesUI() {
+        return Object.entries(this.preferenceDefinitions).map(([name, definition]) => ({
+            name,
+            key: definition.key,
+            type: definition.type,
+            label: definition.label,
+            icon: definition.icon,
+            description: definition.description,
+            default: definition.default,
+            options: definition.options
+        }));
+    }
+}
+
+module.exports = new UserConfig();
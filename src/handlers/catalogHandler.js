@@ -1,24 +1,17 @@
 const { logger } = require('../utils/logger');
+const catalogConfig = require('../config/catalogConfig');
+const userConfig = require('../config/userConfig');
+const { parseCatalogFilters } = require('../utils/catalogFilters');
+const { collectMappedItems } = require('../services/catalog/pageWalker');
 
-/**
- * Extract TVDB language code from URL parameter (e.g., /fra/catalog/...)
- */
-function getLanguagePreference(req) {
-    if (req.params.language) {
-        const urlLang = req.params.language;
-        if (/^[a-z]{3}$/.test(urlLang)) {
-            return urlLang;
-        }
-    }
-    
-    return 'eng';
-}
+// Upper bound on TVDB search pages walked for one request
+const MAX_SEARCH_PAGES = 10;
 
 /**
- * Handle catalog requests - provides search-based catalog results
+ * Handle catalog requests - provides search results and catalog-mode browse catalogs
  * Route: /catalog/:type/:id/:extra?.json
  */
-async function catalogHandler(req, res, tvdbService, logger = null) {
+async function catalogHandler(req, res, tvdbService, catalogService, logger = null) {
     const startTime = Date.now();
     try {
         const { type, id, extra } = req.params;
@@ -32,24 +25,43 @@ async function catalogHandler(req, res, tvdbService, logger = null) {
         if (!['movie', 'series'].includes(type)) {
             return res.status(400).json({ error: 'Invalid content type' });
         }
-        const validCatalogIds = ['tvdb-movies', 'tvdb-series'];
-        if (!validCatalogIds.includes(id)) {
-            return res.status(400).json({ error: 'Invalid catalog ID' });
+        const config = userConfig.fromRequest(req);
+        const userLanguage = config.language;
+        if (!catalogConfig.isSearchCatalog(id)) {
+            if (!catalogService || !catalogService.hasCatalog(id, type)) {
+                return res.status(400).json({ error: 'Invalid catalog ID' });
+            }
+            // Only the catalogs of this install's manifest are served, not ones it turned off or never added
+            const installCatalogs = catalogConfig.getManifestCatalogs(config.catalogs);
+            if (!installCatalogs.some(catalog => catalog.id === id && catalog.type === type)) {
+                return res.status(404).json({ error: 'Catalog not enabled for this install' });
+            }
+            const skip = Math.max(0, parseInt(extraParams.skip, 10) || 0);
+            const filters = parseCatalogFilters(extraParams, type);
+            logger?.debug(`📚 Browsing ${type} catalog ${id} (skip: ${skip}, language: ${userLanguage}, filters: ${JSON.stringify(filters)})`);
+            const metas = await catalogService.getCatalog(id, type, {
+                skip, language: userLanguage, filters, preferences: config.preferences
+            });
+            logger?.debug(`Catalog ${id} completed in ${Date.now() - startTime}ms (Results: ${metas.length})`);
+            return res.json({ metas });
         }
         if (!extraParams.search || extraParams.search.trim() === '') {
             return res.json({ metas: [] });
         }
-        const userLanguage = getLanguagePreference(req);
-        logger?.debug(`🔍 Searching ${type} for: "${extraParams.search}" (language: ${userLanguage})`);
-        const searchStart = Date.now();
-        const searchResults = await tvdbService.search(extraParams.search, type, 20, userLanguage);
-        const searchTime = Date.now() - searchStart;
-        logger?.debug(`Search API call completed in ${searchTime}ms`);
-        const transformStart = Date.now();
-        const metas = await tvdbService.transformSearchResults(searchResults, type, userLanguage);
-        const transformTime = Date.now() - transformStart;
+        const skip = Math.max(0, parseInt(extraParams.skip, 10) || 0);
+        const pageSize = config.preferences.maxResults;
+        logger?.debug(`🔍 Searching ${type} for: "${extraParams.search}" (skip: ${skip}, language: ${userLanguage})`);
+        // TVDB pages count raw results while Stremio's skip counts the metas it received,
+        // so pages are walked from the first one (each page is cached) until skip + pageSize metas are found
+        const metas = await collectMappedItems(async page => {
+            const { results, hasMore } = await tvdbService.searchPage(extraParams.search, type, pageSize, userLanguage, page);
+            return {
+                items: await tvdbService.transformSearchResults(results, type, userLanguage, config.preferences),
+                totalPages: hasMore ? page + 1 : page
+            };
+        }, { skip, limit: pageSize, maxPages: MAX_SEARCH_PAGES });
         const totalTime = Date.now() - startTime;
-        logger?.debug(`Transform completed in ${transformTime}ms (Total: ${totalTime}ms, Results: ${metas.length})`);
+        logger?.debug(`Search completed in ${totalTime}ms (Results: ${metas.length})`);
         res.json({ metas });
     } catch (error) {
         const totalTime = Date.now() - startTime;
@@ -0,0 +1,68 @@
+const userConfig = require('../config/userConfig');
+
+/**
+ * Handle per-season episode requests, used with the "Load Episodes per Season" preference
+ * Route: /episodes/:id/:season.json
+ */
+async function episodesHandler(req, res, tvdbService, idMappingService, logger) {
+    try {
+        const { id } = req.params;
+        const seasonNumber = parseInt(req.params.season);
+
+        if (isNaN(seasonNumber) || seasonNumber < 0) {
+            return res.status(400).json({ error: 'Invalid season number' });
+        }
+
+        let tvdbId;
+
+        if (id.startsWith('tvdb-')) {
+            // TVDB format: tvdb-123456
+            tvdbId = id.replace('tvdb-', '');
+            if (!tvdbId || isNaN(tvdbId)) {
+                return res.status(400).json({ error: 'Invalid TVDB ID' });
+            }
+        } else if (/^tt\d{7,}$/.test(id)) {
+            // IMDb format: tt1234567
+            const mapping = await idMappingService.resolveToTvdb('imdb', id, 'series');
+            if (!mapping) {
+                return res.status(404).json({ error: 'Content not found by IMDb ID' });
+            }
+            tvdbId = mapping.tvdb;
+        } else if (/^(tmdb|kitsu|mal):\d+$/.test(id)) {
+            // Other addons' formats, as accepted by the meta route: tmdb:1399, kitsu:1376, mal:5114
+            const [source, externalId] = id.split(':');
+            const mapping = await idMappingService.resolveToTvdb(source, externalId, 'series');
+            if (!mapping) {
+                return res.status(404).json({ error: `Content not found by ${source} ID` });
+            }
+            tvdbId = mapping.tvdb;
+        } else {
+            return res.status(400).json({ error: 'Invalid ID format. Use tvdb-123456, tt1234567, tmdb:123, kitsu:123 or mal:123 format' });
+        }
+
+        const config = userConfig.fromRequest(req);
+
+        // Video ids must match the ones in the meta response, which use the IMDb id when there is one and `tvdb-<id>` otherwise
+        const [externalIds, seasonsData] = await Promise.all([
+            idMappingService.getExternalIds(tvdbId, 'series'),
+            tvdbService.getSeriesSeasons(tvdbId)
+        ]);
+
+        const videos = await tvdbService.getSeasonVideos(
+            tvdbId, externalIds?.imdb || null, seasonNumber, seasonsData, config.language, config.preferences
+        );
+
+        if (videos.length === 0) {
+            return res.status(404).json({ error: 'Season not found' });
+        }
+
+        logger?.debug?.(`Serving ${videos.length} episodes for series ${tvdbId} season ${seasonNumber}`);
+        res.json({ videos });
+
+    } catch (error) {
+        logger?.error?.('Episodes handler error:', error);
+        res.status(500).json({ error: 'Failed to fetch episodes' });
+    }
+}
+
+module.exports = episodesHandler;
@@ -13,7 +13,7 @@ async function installationPageHandler(req, res, logger = null) {
         
         const currentMode = catalogConfig.getCurrentMode();
         const title = currentMode.id === 'catalog' ? 'TVDB Catalog' : 'TVDB Search';
-        const manifestUrlTemplate = `${baseUrl}/{{LANG}}/manifest.json`;
+        const manifestUrlTemplate = `${baseUrl}/{{CONFIG}}/manifest.json`;
         
         html = html.replace('{{TITLE}}', title);
         html = html.replace('{{VERSION}}', packageJson.version);
@@ -1,9 +1,18 @@
 const { getManifest } = require('../utils/manifest');
+const userConfig = require('../config/userConfig');
 
-async function manifestHandler(req, res, logger = null) {
+async function manifestHandler(req, res, logger = null, companyService = null, collectionService = null) {
     try {
-        const tvdbLanguage = req.params.language || 'eng';
-        const manifest = getManifest(tvdbLanguage, req);
+        const config = userConfig.fromRequest(req);
+        const manifest = getManifest(config, req);
+        if (companyService) {
+            // Network and studio rows are named after their TVDB company
+            await companyService.applyCatalogNames(manifest.catalogs);
+        }
+        if (collectionService) {
+            // Collection rows are named after their TVDB list
+            await collectionService.applyCatalogNames(manifest.catalogs);
+        }
         res.json(manifest);
     } catch (error) {
         logger?.error('Error serving manifest:', error);
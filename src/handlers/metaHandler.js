@@ -1,24 +1,14 @@
-/**
- * Extract TVDB language code from URL parameter
- * @param {object} req - Express request object
- * @returns {string} - TVDB 3-character language code (e.g., 'fra', 'spa', 'eng')
- */
-function getLanguagePreference(req) {
-    if (req.params.language) {
-        const urlLang = req.params.language;
-        if (/^[a-z]{3}$/.test(urlLang)) {
-            return urlLang;
-        }
-    }
-    
-    return 'eng';
-}
+const userConfig = require('../config/userConfig');
+const catalogConfig = require('../config/catalogConfig');
+const { addMetaLinks } = require('../utils/metaLinks');
+const { buildTransportUrl } = require('../utils/urlBuilder');
+const { passesQualityGate } = require('../utils/imdbFilter');
 
 /**
  * Handle metadata requests for specific content
  * Route: /meta/:type/:id.json
  */
-async function metaHandler(req, res, tvdbService, logger) {
+async function metaHandler(req, res, tvdbService, idMappingService, logger) {
     try {
         const { type, id } = req.params;
 
@@ -42,38 +32,34 @@ async function metaHandler(req, res, tvdbService, logger) {
             
             logger?.debug?.(`Looking up TVDB ID for IMDb ID: ${imdbId}`);
             
-            try {
-                const searchResults = await tvdbService.search(`"${imdbId}"`, type);
-                logger?.debug?.(`Search results for "${imdbId}": ${searchResults?.length} items`);
-                if (searchResults && searchResults.length > 0) {
-                    logger?.debug?.(`First search result structure: ${JSON.stringify(searchResults[0], null, 2)}`);
-                    
-                    const exactMatch = searchResults.find(result => {
-                        const resultImdbId = tvdbService.contentFetcher.extractImdbId(result);
-                        logger?.debug?.(`Checking result ID ${result.id}: extracted IMDb ID = ${resultImdbId}`);
-                        return resultImdbId === imdbId;
-                    });
-                    
-                    if (exactMatch) {
-                        tvdbId = exactMatch.id.toString();
-                        logger?.debug?.(`Found TVDB ID ${tvdbId} for IMDb ID ${imdbId}`);
-                    } else {
-                        logger?.debug?.(`No exact IMDb match found for ${imdbId}`);
-                        return res.status(404).json({ error: 'Content not found by IMDb ID' });
-                    }
-                } else {
-                    logger?.debug?.(`No search results found for IMDb ID ${imdbId}`);
-                    return res.status(404).json({ error: 'Content not found by IMDb ID' });
-                }
-            } catch (searchError) {
-                logger?.error?.(`Search error for IMDb ID ${imdbId}: ${searchError.message}`);
-                return res.status(500).json({ error: 'Failed to lookup content by IMDb ID' });
+            const mapping = await idMappingService.resolveToTvdb('imdb', imdbId, type);
+            if (!mapping) {
+                logger?.debug?.(`No TVDB ${type} found for IMDb ID ${imdbId}`);
+                return res.status(404).json({ error: 'Content not found by IMDb ID' });
+            }
+
+            tvdbId = mapping.tvdb;
+            logger?.debug?.(`Found TVDB ID ${tvdbId} for IMDb ID ${imdbId}`);
+        } else if (/^(tmdb|kitsu|mal):\d+$/.test(id)) {
+            // Other addons' formats: tmdb:1399, kitsu:1376, mal:5114
+            const [source, externalId] = id.split(':');
+
+            logger?.debug?.(`Looking up TVDB ID for ${source} ID: ${externalId}`);
+
+            const mapping = await idMappingService.resolveToTvdb(source, externalId, type);
+            if (!mapping) {
+                logger?.debug?.(`No TVDB ${type} found for ${id}`);
+                return res.status(404).json({ error: `Content not found by ${source} ID` });
             }
+
+            tvdbId = mapping.tvdb;
+            logger?.debug?.(`Found TVDB ID ${tvdbId} for ${id}`);
         } else {
-            return res.status(400).json({ error: 'Invalid ID format. Use tvdb-123456 or tt1234567 format' });
+            return res.status(400).json({ error: 'Invalid ID format. Use tvdb-123456, tt1234567, tmdb:123, kitsu:123 or mal:123 format' });
         }
 
-        const userLanguage = getLanguagePreference(req);
+        const config = userConfig.fromRequest(req);
+        const userLanguage = config.language;
 
         let detailedData = null;
         let seasonsData = null;
@@ -100,13 +86,26 @@ async function metaHandler(req, res, tvdbService, logger) {
             return res.status(404).json({ error: 'Content not found' });
         }
 
-        const meta = await tvdbService.transformDetailedToStremioMeta(detailedData, type, seasonsData, userLanguage);
+        // Index the record's IMDb and TMDB ids so later lookups in either direction hit the cache
+        await idMappingService.rememberRecord(type, detailedData).catch(error => {
+            logger?.debug?.(`ID mapping update failed for TVDB ${type} ${tvdbId}: ${error.message}`);
+        });
+
+        // Titles the install's quality filter hides from catalogs are not found, rather than failing to process
+        if (!passesQualityGate(detailedData, config.preferences.qualityGate, type)) {
+            logger?.debug?.(`TVDB ${type} ${tvdbId} rejected by the ${config.preferences.qualityGate || 'strict'} quality gate`);
+            return res.status(404).json({ error: 'Content not found' });
+        }
+
+        const meta = await tvdbService.transformDetailedToStremioMeta(detailedData, type, seasonsData, userLanguage, config.preferences);
         
         if (!meta) {
             return res.status(500).json({ error: 'Failed to process metadata' });
         }
 
-        res.json({ meta });
+        // Links open this install's catalogs, so they are added per request rather than cached
+        const catalogs = catalogConfig.getManifestCatalogs(config.catalogs);
+        res.json({ meta: addMetaLinks(meta, buildTransportUrl(req), catalogs) });
 
     } catch (error) {
         logger?.error?.('Meta handler error:', error);
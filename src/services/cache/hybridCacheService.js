@@ -15,6 +15,8 @@ class HybridCacheService {
         this.translationCache = new Map();
         this.metadataCache = new Map();
         this.seasonCache = new Map();
+        this.catalogCache = new Map();
+        this.idMappingCache = new Map();
         
         this.mongoClient = null;
         this.mongoDB = null;
@@ -27,7 +29,10 @@ class HybridCacheService {
             artwork: 14 * 24 * 60 * 60 * 1000,      // 14 days
             translation: 3 * 24 * 60 * 60 * 1000,   // 3 days
             metadata: 12 * 60 * 60 * 1000,          // 12 hours
-            season: 6 * 60 * 60 * 1000              // 6 hours
+            season: 6 * 60 * 60 * 1000,             // 6 hours
+            catalog: 6 * 60 * 60 * 1000,            // 6 hours
+            idmap: 30 * 24 * 60 * 60 * 1000,        // 30 days
+            idmapMiss: 24 * 60 * 60 * 1000          // 1 day
         };
         
         this.mongoCollections = {
@@ -36,7 +41,9 @@ class HybridCacheService {
             artwork: 'cache_artwork',
             translation: 'cache_translation',
             metadata: 'cache_metadata',
-            season: 'cache_season'
+            season: 'cache_season',
+            catalog: 'cache_catalog',
+            idmap: 'cache_idmap'
         };
         
         this.initMongoDB();
@@ -99,7 +106,9 @@ class HybridCacheService {
             'artwork': this.artworkCache,
             'translation': this.translationCache,
             'metadata': this.metadataCache,
-            'season': this.seasonCache
+            'season': this.seasonCache,
+            'catalog': this.catalogCache,
+            'idmap': this.idMappingCache
         };
         return cacheMappers[cacheType];
     }
@@ -194,7 +203,9 @@ class HybridCacheService {
             { name: 'artwork', map: this.artworkCache },
             { name: 'translation', map: this.translationCache },
             { name: 'metadata', map: this.metadataCache },
-            { name: 'season', map: this.seasonCache }
+            { name: 'season', map: this.seasonCache },
+            { name: 'catalog', map: this.catalogCache },
+            { name: 'idmap', map: this.idMappingCache }
         ];
 
         cacheTypes.forEach(cache => {
@@ -245,6 +256,8 @@ class HybridCacheService {
                 translationEntries: this.translationCache.size,
                 metadataEntries: this.metadataCache.size,
                 seasonEntries: this.seasonCache.size,
+                catalogEntries: this.catalogCache.size,
+                idMappingEntries: this.idMappingCache.size,
                 totalEntries: 0
             },
             l2Cache: {
@@ -376,7 +389,9 @@ class HybridCacheService {
             { name: 'artwork', map: this.artworkCache },
             { name: 'translation', map: this.translationCache },
             { name: 'metadata', map: this.metadataCache },
-            { name: 'season', map: this.seasonCache }
+            { name: 'season', map: this.seasonCache },
+            { name: 'catalog', map: this.catalogCache },
+            { name: 'idmap', map: this.idMappingCache }
         ];
 
         cacheTypes.forEach(cache => {
@@ -410,7 +425,9 @@ class HybridCacheService {
             artwork: this.artworkCache.size,
             translation: this.translationCache.size,
             metadata: this.metadataCache.size,
-            season: this.seasonCache.size
+            season: this.seasonCache.size,
+            catalog: this.catalogCache.size,
+            idmap: this.idMappingCache.size
         };
         
         this.searchCache.clear();
@@ -419,6 +436,8 @@ class HybridCacheService {
         this.translationCache.clear();
         this.metadataCache.clear();
         this.seasonCache.clear();
+        this.catalogCache.clear();
+        this.idMappingCache.clear();
         
         this.logger?.info('🗑️ Cleared all L1 caches:', l1Counts);
         
@@ -438,6 +457,23 @@ class HybridCacheService {
         }
     }
 
+    // ==================== SEARCH CACHE ====================
+
+    // Results are cached per page; the page size is part of the key since it sets the page offsets
+    generateSearchKey(query, type, language = 'eng', page = 1, pageSize = 20) {
+        return `search:${type}:${language}:${pageSize}:${page}:${query.toLowerCase().trim()}`;
+    }
+
+    async getSearchResults(query, type, language = 'eng', page = 1, pageSize = 20) {
+        const key = this.generateSearchKey(query, type, language, page, pageSize);
+        return await this.getCachedData('search', key);
+    }
+
+    async setSearchResults(query, type, language = 'eng', results, page = 1, pageSize = 20) {
+        const key = this.generateSearchKey(query, type, language, page, pageSize);
+        return await this.setCachedData('search', key, results, this.CACHE_TTLS.search);
+    }
+
     // ==================== IMDB VALIDATION CACHE ====================
 
     generateImdbKey(contentType, contentId) {
@@ -518,6 +554,42 @@ class HybridCacheService {
         return await this.setCachedData('season', key, seasonData, this.CACHE_TTLS.season);
     }
 
+    // ==================== CATALOG CACHE ====================
+
+    generateCatalogKey(catalogId, variant = 'all') {
+        return `catalog:${catalogId}:${variant}`;
+    }
+
+    async getCatalogItems(catalogId, variant = 'all') {
+        const key = this.generateCatalogKey(catalogId, variant);
+        return await this.getCachedData('catalog', key);
+    }
+
+    async setCatalogItems(catalogId, variant = 'all', items) {
+        const key = this.generateCatalogKey(catalogId, variant);
+        return await this.setCachedData('catalog', key, items, this.CACHE_TTLS.catalog);
+    }
+
+    // ==================== ID MAPPING CACHE ====================
+    // Bidirectional index: one entry { type, tvdb, imdb, tmdb } stored under each of its ids
+
+    generateIdMappingKey(source, id, type = null) {
+        // Typed for every source: TVDB and TMDB reuse numbers between movies and series, and a miss
+        // for an IMDb id requested as a movie says nothing about the same id requested as a series
+        return `idmap:${source}:${type}:${id}`;
+    }
+
+    async getIdMapping(source, id, type = null) {
+        const key = this.generateIdMappingKey(source, id, type);
+        return await this.getCachedData('idmap', key);
+    }
+
+    async setIdMapping(source, id, type = null, mapping) {
+        const key = this.generateIdMappingKey(source, id, type);
+        const ttl = mapping?.notFound ? this.CACHE_TTLS.idmapMiss : this.CACHE_TTLS.idmap;
+        return await this.setCachedData('idmap', key, mapping, ttl);
+    }
+
     async disconnect() {
         if (this.mongoClient) {
             await this.mongoClient.close();
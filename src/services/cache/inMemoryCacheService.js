@@ -13,6 +13,8 @@ class CacheService {
         this.translationCache = new Map();
         this.metadataCache = new Map();
         this.seasonCache = new Map();
+        this.catalogCache = new Map();
+        this.idMappingCache = new Map();
         
         this.CACHE_TTLS = {
             search: 2 * 60 * 60 * 1000,             // 2 hours - searches are popular, but results can change
@@ -20,7 +22,10 @@ class CacheService {
             artwork: 14 * 24 * 60 * 60 * 1000,      // 14 days - artwork is very static
             translation: 3 * 24 * 60 * 60 * 1000,   // 3 days - translations rarely update
             metadata: 12 * 60 * 60 * 1000,          // 12 hours - basic metadata updates infrequently
-            season: 6 * 60 * 60 * 1000              // 6 hours - episodes update occasionally
+            season: 6 * 60 * 60 * 1000,             // 6 hours - episodes update occasionally
+            catalog: 6 * 60 * 60 * 1000,            // 6 hours - provider lists (popular, trending) shift slowly
+            idmap: 30 * 24 * 60 * 60 * 1000,        // 30 days - cross-site ids almost never change
+            idmapMiss: 24 * 60 * 60 * 1000          // 1 day - unmapped ids are retried daily
         };
         
         // Future /updates endpoint configuration
@@ -66,17 +71,18 @@ class CacheService {
 
     // ==================== SEARCH CACHE ====================
 
-    generateSearchKey(query, type, language = 'eng') {
-        return `search:${type}:${language}:${query.toLowerCase().trim()}`;
+    // Results are cached per page; the page size is part of the key since it sets the page offsets
+    generateSearchKey(query, type, language = 'eng', page = 1, pageSize = 20) {
+        return `search:${type}:${language}:${pageSize}:${page}:${query.toLowerCase().trim()}`;
     }
 
-    getSearchResults(query, type, language = 'eng') {
-        const key = this.generateSearchKey(query, type, language);
+    getSearchResults(query, type, language = 'eng', page = 1, pageSize = 20) {
+        const key = this.generateSearchKey(query, type, language, page, pageSize);
         return this.getCachedData(this.searchCache, key);
     }
 
-    setSearchResults(query, type, language = 'eng', results) {
-        const key = this.generateSearchKey(query, type, language);
+    setSearchResults(query, type, language = 'eng', results, page = 1, pageSize = 20) {
+        const key = this.generateSearchKey(query, type, language, page, pageSize);
         this.setCachedData(this.searchCache, key, results, this.CACHE_TTLS.search);
     }
 
@@ -160,6 +166,42 @@ class CacheService {
         this.setCachedData(this.seasonCache, key, seasonData, this.CACHE_TTLS.season);
     }
 
+    // ==================== CATALOG CACHE ====================
+
+    generateCatalogKey(catalogId, variant = 'all') {
+        return `catalog:${catalogId}:${variant}`;
+    }
+
+    getCatalogItems(catalogId, variant = 'all') {
+        const key = this.generateCatalogKey(catalogId, variant);
+        return this.getCachedData(this.catalogCache, key);
+    }
+
+    setCatalogItems(catalogId, variant = 'all', items) {
+        const key = this.generateCatalogKey(catalogId, variant);
+        this.setCachedData(this.catalogCache, key, items, this.CACHE_TTLS.catalog);
+    }
+
+    // ==================== ID MAPPING CACHE ====================
+    // Bidirectional index: one entry { type, tvdb, imdb, tmdb } stored under each of its ids
+
+    generateIdMappingKey(source, id, type = null) {
+        // Typed for every source: TVDB and TMDB reuse numbers between movies and series, and a miss
+        // for an IMDb id requested as a movie says nothing about the same id requested as a series
+        return `idmap:${source}:${type}:${id}`;
+    }
+
+    getIdMapping(source, id, type = null) {
+        const key = this.generateIdMappingKey(source, id, type);
+        return this.getCachedData(this.idMappingCache, key);
+    }
+
+    setIdMapping(source, id, type = null, mapping) {
+        const key = this.generateIdMappingKey(source, id, type);
+        const ttl = mapping?.notFound ? this.CACHE_TTLS.idmapMiss : this.CACHE_TTLS.idmap;
+        this.setCachedData(this.idMappingCache, key, mapping, ttl);
+    }
+
     // ==================== CACHE MANAGEMENT ====================
 
     clearAll() {
@@ -169,7 +211,9 @@ class CacheService {
             artwork: this.artworkCache.size,
             translation: this.translationCache.size,
             metadata: this.metadataCache.size,
-            season: this.seasonCache.size
+            season: this.seasonCache.size,
+            catalog: this.catalogCache.size,
+            idmap: this.idMappingCache.size
         };
         
         this.searchCache.clear();
@@ -178,6 +222,8 @@ class CacheService {
         this.translationCache.clear();
         this.metadataCache.clear();
         this.seasonCache.clear();
+        this.catalogCache.clear();
+        this.idMappingCache.clear();
         
         this.logger?.info(`🗑️ Cleared all caches:`, counts);
     }
@@ -191,7 +237,9 @@ class CacheService {
             { name: 'artwork', map: this.artworkCache },
             { name: 'translation', map: this.translationCache },
             { name: 'metadata', map: this.metadataCache },
-            { name: 'season', map: this.seasonCache }
+            { name: 'season', map: this.seasonCache },
+            { name: 'catalog', map: this.catalogCache },
+            { name: 'idmap', map: this.idMappingCache }
         ];
 
         cacheTypes.forEach(cache => {
@@ -231,7 +279,9 @@ class CacheService {
             'artwork': this.artworkCache,
             'translation': this.translationCache,
             'metadata': this.metadataCache,
-            'season': this.seasonCache
+            'season': this.seasonCache,
+            'catalog': this.catalogCache,
+            'idmap': this.idMappingCache
         };
         return cacheMappers[cacheType];
     }
@@ -244,8 +294,11 @@ class CacheService {
             translationEntries: this.translationCache.size,
             metadataEntries: this.metadataCache.size,
             seasonEntries: this.seasonCache.size,
+            catalogEntries: this.catalogCache.size,
+            idMappingEntries: this.idMappingCache.size,
             totalEntries: this.searchCache.size + this.imdbCache.size + this.artworkCache.size + 
-                         this.translationCache.size + this.metadataCache.size + this.seasonCache.size,
+                         this.translationCache.size + this.metadataCache.size + this.seasonCache.size +
+                         this.catalogCache.size + this.idMappingCache.size,
             cacheTTLs: this.CACHE_TTLS
         };
     }
@@ -260,7 +313,9 @@ class CacheService {
             { name: 'artwork', map: this.artworkCache },
             { name: 'translation', map: this.translationCache },
             { name: 'metadata', map: this.metadataCache },
-            { name: 'season', map: this.seasonCache }
+            { name: 'season', map: this.seasonCache },
+            { name: 'catalog', map: this.catalogCache },
+            { name: 'idmap', map: this.idMappingCache }
         ];
 
         cacheTypes.forEach(cache => {
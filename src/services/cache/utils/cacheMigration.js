@@ -31,7 +31,9 @@ class CacheMigration {
             { name: 'artwork', sourceMap: this.inMemoryCache.artworkCache },
             { name: 'translation', sourceMap: this.inMemoryCache.translationCache },
             { name: 'metadata', sourceMap: this.inMemoryCache.metadataCache },
-            { name: 'season', sourceMap: this.inMemoryCache.seasonCache }
+            { name: 'season', sourceMap: this.inMemoryCache.seasonCache },
+            { name: 'catalog', sourceMap: this.inMemoryCache.catalogCache },
+            { name: 'idmap', sourceMap: this.inMemoryCache.idMappingCache }
         ];
 
         let totalMigrated = 0;
@@ -0,0 +1,102 @@
+/**
+ * Anime Catalog Provider
+ * Fetches anime lists from an anime source (Kitsu, Jikan) and maps them to TVDB series,
+ * through the source's TVDB cross-reference when it has one, otherwise by title and year
+ */
+
+const { collectMappedItems } = require('./pageWalker');
+const { createPostFilter } = require('../../utils/catalogFilters');
+
+class AnimeCatalogProvider {
+    constructor(apiClient, sourceService, idMappingService, cacheService, logger) {
+        this.apiClient = apiClient;
+        this.sourceService = sourceService;
+        this.idMappingService = idMappingService;
+        this.cacheService = cacheService;
+        this.logger = logger;
+
+        // Filtered rows stop after this many upstream pages instead of walking the whole list
+        this.maxFilteredPages = 10;
+
+        // Entries that can never be a TVDB series
+        this.excludedSubtypes = ['movie', 'music'];
+    }
+
+    /**
+     * Fetch one page of catalog items in TVDB search-result shape
+     * @param {Object} definition - Catalog definition from catalogConfig
+     * @param {Object} options - { skip, limit, filters }
+     * @returns {Array} Items ready for CatalogTransformer
+     */
+    async fetchPage(definition, { skip = 0, limit = 20, filters = null } = {}) {
+        // The upstream lists cannot be filtered, so every filter is applied after mapping
+        const filter = createPostFilter(filters, item => this.apiClient.getContentDetails(item.type, item.id));
+
+        return collectMappedItems(page => this.getMappedPage(definition, page), {
+            skip,
+            limit,
+            filter,
+            maxPages: filter ? this.maxFilteredPages : Infinity
+        });
+    }
+
+    /**
+     * Fetch one source page and map its entries to TVDB, cached per page
+     * @returns {Object|null} { items, totalPages }
+     */
+    async getMappedPage(definition, page) {
+        const variant = `page-${page}`;
+        const cachedPage = await this.cacheService.getCatalogItems(definition.id, variant);
+        if (cachedPage) {
+            this.logger?.debug?.(`Catalog cache HIT for ${definition.id} (${variant})`);
+            return cachedPage;
+        }
+
+        try {
+            const { results, totalPages } = await this.sourceService.getAnimeList(definition.category, page);
+            const entries = results.filter(entry => !this.excludedSubtypes.includes(entry.subtype));
+
+            const mapped = await Promise.allSettled(entries.map(entry => this.mapToTvdb(entry)));
+            const items = mapped
+                .filter(result => result.status === 'fulfilled' && result.value)
+                .map(result => result.value);
+
+            this.logger?.debug?.(`Mapped ${items.length}/${results.length} anime to TVDB for ${definition.id} (${variant})`);
+
+            const sourcePage = { items, totalPages };
+            await this.cacheService.setCatalogItems(definition.id, variant, sourcePage);
+            return sourcePage;
+        } catch (error) {
+            this.logger?.error?.(`Anime catalog fetch error for ${definition.id} (${variant}):`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Resolve an anime entry to a TVDB series
+     * @param {Object} entry - Normalized source entry
+     * @returns {Object|null} Item in TVDB search-result shape, or null if TVDB has no match
+     */
+    async mapToTvdb(entry) {
+        if (entry.tvdbId) {
+            return {
+                id: entry.tvdbId,
+                type: 'series',
+                name: entry.title,
+                overview: entry.overview,
+                image: entry.poster,
+                year: entry.year
+            };
+        }
+
+        const match = await this.idMappingService.matchByTitle(entry, 'series');
+        if (!match) {
+            return null;
+        }
+
+        // Search ids look like "series-12345"; use the numeric id so duplicates collapse
+        return { ...match, id: parseInt(match.tvdb_id) || match.id, type: 'series' };
+    }
+}
+
+module.exports = AnimeCatalogProvider;
@@ -0,0 +1,191 @@
+/**
+ * Calendar Catalog Provider
+ * Lists series with an episode airing in the previous or next seven days, from TVDB episode air dates
+ */
+
+const { collectMappedItems } = require('./pageWalker');
+const { createPostFilter } = require('../../utils/catalogFilters');
+const { getEpisodeAirTime } = require('../../utils/airTime');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class CalendarCatalogProvider {
+    constructor(apiClient, cacheService, logger) {
+        this.apiClient = apiClient;
+        this.cacheService = cacheService;
+        this.logger = logger;
+
+        this.windowDays = 7;
+
+        // Candidate series: continuing series by score (the most followed), then popular series of any status
+        this.candidateParams = [
+            { sort: 'score', sortType: 'desc', status: 1 },
+            { sort: 'score', sortType: 'desc' }
+        ];
+        this.defaultOrigin = { country: 'usa', lang: 'eng' };
+
+        // Every candidate costs an episode list fetch the first time, keep the pool bounded
+        this.maxCandidates = 100;
+        this.concurrency = 5;
+
+        // Schedule builds in progress by catalog and window, shared by concurrent requests
+        this.builds = new Map();
+    }
+
+    /**
+     * Fetch one page of the schedule in TVDB search-result shape
+     * @param {Object} definition - Catalog definition from catalogConfig
+     * @param {Object} options - { skip, limit, filters }
+     * @returns {Array} Items ready for CatalogTransformer
+     */
+    async fetchPage(definition, { skip = 0, limit = 20, filters = null } = {}) {
+        const items = await this.getSchedule(definition);
+        const filter = createPostFilter(filters, item => this.apiClient.getContentDetails('series', item.id));
+        return collectMappedItems(async () => ({ items, totalPages: 1 }), { skip, limit, filter });
+    }
+
+    /**
+     * Get the schedule: one entry per series, sorted by the air time of its episode closest to now
+     * Cached per day, so the window moves forward daily. A missing schedule is built in the background
+     * (it takes a few hundred TVDB requests); meanwhile the previous day's schedule, or nothing, is served
+     */
+    async getSchedule(definition, now = new Date()) {
+        const window = this.getWindow(now);
+        const variant = `window-${window.from}`;
+
+        const cachedItems = await this.cacheService.getCatalogItems(definition.id, variant);
+        if (cachedItems) {
+            this.logger?.debug?.(`Catalog cache HIT for ${definition.id} (${variant})`);
+            return cachedItems;
+        }
+
+        const buildKey = `${definition.id}:${variant}`;
+        if (!this.builds.has(buildKey)) {
+            const build = this.buildSchedule(definition, window, variant, now)
+                .catch(error => this.logger?.error?.(`Schedule build failed for ${definition.id}:`, error.message))
+                .finally(() => this.builds.delete(buildKey));
+            this.builds.set(buildKey, build);
+        }
+
+        const previousVariant = `window-${this.getWindow(new Date(now.getTime() - DAY_MS)).from}`;
+        const previousItems = await this.cacheService.getCatalogItems(definition.id, previousVariant);
+        this.logger?.debug?.(`Schedule ${variant} of ${definition.id} is building, serving ${previousItems ? previousVariant : 'an empty page'}`);
+        return previousItems || [];
+    }
+
+    async buildSchedule(definition, window, variant, now) {
+        const candidates = await this.getCandidates(window);
+        const scheduled = [];
+
+        for (let i = 0; i < candidates.length; i += this.concurrency) {
+            const chunk = candidates.slice(i, i + this.concurrency);
+            const airTimes = await Promise.all(chunk.map(series =>
+                this.findAirTime(series, window, now).catch(error => {
+                    this.logger?.debug?.(`Schedule lookup failed for series ${series.id}: ${error.message}`);
+                    return null;
+                })
+            ));
+            chunk.forEach((series, index) => {
+                if (airTimes[index] !== null) {
+                    scheduled.push({ series, airTime: airTimes[index] });
+                }
+            });
+        }
+
+        const items = scheduled
+            .sort((a, b) => a.airTime - b.airTime)
+            .map(entry => entry.series);
+
+        await this.cacheService.setCatalogItems(definition.id, variant, items);
+        this.logger?.debug?.(`Cached ${items.length} scheduled series for catalog ${definition.id} (${variant})`);
+        return items;
+    }
+
+    /**
+     * @returns {Object} { from, to } - inclusive YYYY-MM-DD bounds, comparable with TVDB air dates
+     */
+    getWindow(now) {
+        return {
+            from: new Date(now.getTime() - this.windowDays * DAY_MS).toISOString().substring(0, 10),
+            to: new Date(now.getTime() + this.windowDays * DAY_MS).toISOString().substring(0, 10)
+        };
+    }
+
+    /**
+     * Collect candidate series from the TVDB filter endpoint, dropping those whose
+     * last and next air dates are both known and outside the window
+     */
+    async getCandidates(window) {
+        const candidates = new Map();
+
+        for (const params of this.candidateParams) {
+            try {
+                const response = await this.apiClient.makeRequest('/series/filter', {
+                    ...this.defaultOrigin,
+                    ...params
+                });
+                const records = Array.isArray(response?.data) ? response.data : [];
+                records
+                    .filter(record => record && record.id && record.name && !candidates.has(record.id))
+                    .filter(record => this.mayAirInWindow(record, window))
+                    .forEach(record => candidates.set(record.id, this.normalizeRecord(record)));
+            } catch (error) {
+                this.logger?.error?.('TVDB calendar candidates fetch error:', error.message);
+            }
+        }
+
+        return Array.from(candidates.values()).slice(0, this.maxCandidates);
+    }
+
+    mayAirInWindow(record, window) {
+        const dates = [record.lastAired, record.nextAired].filter(Boolean);
+        if (dates.length === 0) return true; // Unknown, the episode list decides
+        return dates.some(date => date >= window.from && date <= window.to);
+    }
+
+    /**
+     * Find the air time of the series' episode closest to now within the window:
+     * the next upcoming one, otherwise the most recent one
+     * @returns {number|null} Air timestamp in ms, or null when nothing airs in the window
+     */
+    async findAirTime(series, window, now) {
+        const episodes = await this.apiClient.getSeriesEpisodes(series.id);
+        const inWindow = this.apiClient.filterAiredEpisodes(episodes)
+            .filter(episode => episode.seasonNumber > 0 && episode.aired)
+            .filter(episode => episode.aired >= window.from && episode.aired <= window.to);
+
+        if (inWindow.length === 0) {
+            return null;
+        }
+
+        const details = await this.apiClient.getContentDetails('series', series.id);
+        const airTimes = inWindow.map(episode => this.getAirTime(episode, details)).sort((a, b) => a - b);
+
+        const upcoming = airTimes.find(airTime => airTime >= now.getTime());
+        return upcoming !== undefined ? upcoming : airTimes[airTimes.length - 1];
+    }
+
+    /**
+     * Combine the episode air date with the series' usual air time (HH:MM) in its network's timezone
+     */
+    getAirTime(episode, details) {
+        return getEpisodeAirTime(episode.aired, details);
+    }
+
+    /**
+     * Reduce a TVDB base record to the fields CatalogTransformer reads from search results
+     */
+    normalizeRecord(record) {
+        return {
+            id: record.id,
+            type: 'series',
+            name: record.name,
+            overview: record.overview,
+            image: record.image,
+            year: record.year,
+            first_air_time: record.firstAired
+        };
+    }
+}
+
+module.exports = CalendarCatalogProvider;
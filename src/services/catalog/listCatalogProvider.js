@@ -0,0 +1,161 @@
+/**
+ * TVDB List Catalog Provider
+ * Serves official and community TVDB lists (by id or slug) as one movie and one series catalog each,
+ * and movie collections in release order
+ */
+
+const { collectMappedItems } = require('./pageWalker');
+const { createPostFilter } = require('../../utils/catalogFilters');
+
+class ListCatalogProvider {
+    constructor(apiClient, cacheService, logger) {
+        this.apiClient = apiClient;
+        this.cacheService = cacheService;
+        this.logger = logger;
+
+        // List entities only carry ids, details are loaded one page at a time
+        this.pageSize = 20;
+        this.maxFilteredPages = 10;
+    }
+
+    /**
+     * Fetch one page of list items in TVDB search-result shape, in list order
+     * @param {Object} definition - Catalog definition from catalogConfig (category = list id or slug)
+     * @param {Object} options - { skip, limit, filters }
+     * @returns {Array} Items ready for CatalogTransformer
+     */
+    async fetchPage(definition, { skip = 0, limit = 20, filters = null } = {}) {
+        const entities = await this.getListEntities(definition);
+        if (entities.length === 0) {
+            return [];
+        }
+
+        const totalPages = Math.ceil(entities.length / this.pageSize);
+        const filter = createPostFilter(filters, item => this.apiClient.getContentDetails(item.type, item.id));
+
+        return collectMappedItems(async page => ({
+            items: await this.getDetailedPage(definition, entities, page),
+            totalPages
+        }), {
+            skip,
+            limit,
+            filter,
+            maxPages: filter ? this.maxFilteredPages : Infinity
+        });
+    }
+
+    /**
+     * Resolve the list and cache its ordered entities
+     * @returns {Array} [{ id, type }]
+     */
+    async getListEntities(definition) {
+        const cachedEntities = await this.cacheService.getCatalogItems(definition.id, 'entities');
+        if (cachedEntities) {
+            this.logger?.debug?.(`Catalog cache HIT for ${definition.id} (entities)`);
+            return cachedEntities;
+        }
+
+        try {
+            const listId = await this.resolveListId(definition.category);
+            if (!listId) {
+                this.logger?.warn?.(`TVDB list not found: ${definition.category}`);
+                await this.cacheService.setCatalogItems(definition.id, 'entities', []);
+                return [];
+            }
+
+            const list = await this.apiClient.getListExtended(listId);
+            let entities = (list?.entities || [])
+                .slice()
+                .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+                .map(entity => entity.seriesId
+                    ? { id: entity.seriesId, type: 'series' }
+                    : entity.movieId ? { id: entity.movieId, type: 'movie' } : null)
+                .filter(entity => entity && entity.type === definition.type);
+
+            if (definition.listOrder === 'release') {
+                entities = await this.sortByRelease(entities);
+            }
+
+            await this.cacheService.setCatalogItems(definition.id, 'entities', entities);
+            this.logger?.debug?.(`Cached ${entities.length} entities for TVDB list ${definition.category}`);
+            return entities;
+        } catch (error) {
+            this.logger?.error?.(`TVDB list fetch error for ${definition.category}:`, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Order collection entities by release date; entities without a date keep their list order, last
+     * Collections are short, so every entity's details are loaded up front
+     */
+    async sortByRelease(entities) {
+        const details = await Promise.all(entities.map(entity =>
+            this.apiClient.getContentDetails(entity.type, entity.id).catch(() => null)
+        ));
+
+        return entities
+            .map((entity, index) => ({ entity, released: this.getReleaseDate(details[index]) }))
+            .sort((a, b) => {
+                if (a.released && b.released) return a.released.localeCompare(b.released);
+                return a.released ? -1 : b.released ? 1 : 0;
+            })
+            .map(({ entity }) => entity);
+    }
+
+    getReleaseDate(record) {
+        return record?.firstAired || record?.first_release?.date || (record?.year ? `${record.year}` : null);
+    }
+
+    async resolveListId(listRef) {
+        if (/^\d+$/.test(listRef)) {
+            return listRef;
+        }
+
+        const response = await this.apiClient.makeRequest(`/lists/slug/${encodeURIComponent(listRef)}`);
+        return response?.data?.id || null;
+    }
+
+    /**
+     * Load details for one page of entities, cached per page
+     * @returns {Array} Items in TVDB search-result shape; entities without details are dropped
+     */
+    async getDetailedPage(definition, entities, page) {
+        const variant = `page-${page}`;
+        const cachedPage = await this.cacheService.getCatalogItems(definition.id, variant);
+        if (cachedPage) {
+            this.logger?.debug?.(`Catalog cache HIT for ${definition.id} (${variant})`);
+            return cachedPage;
+        }
+
+        const pageEntities = entities.slice((page - 1) * this.pageSize, page * this.pageSize);
+        const detailed = await Promise.allSettled(pageEntities.map(async entity => {
+            const details = await this.apiClient.getContentDetails(entity.type, entity.id);
+            return details ? this.normalizeRecord(details, entity.type) : null;
+        }));
+
+        const items = detailed
+            .filter(result => result.status === 'fulfilled' && result.value)
+            .map(result => result.value);
+
+        await this.cacheService.setCatalogItems(definition.id, variant, items);
+        return items;
+    }
+
+    /**
+     * Reduce a TVDB record to the fields CatalogTransformer reads from search results
+     */
+    normalizeRecord(record, entityType) {
+        return {
+            id: record.id,
+            type: entityType,
+            name: record.name,
+            overview: record.overview,
+            image: record.image,
+            year: record.year,
+            first_air_time: record.firstAired || record.first_release?.date
+        };
+    }
+}
+
+module.exports = ListCatalogProvider;
@@ -0,0 +1,55 @@
+/**
+ * Catalog Page Walker
+ * Collects mapped items from an upstream list that is paged differently from Stremio
+ */
+
+const FILTER_CHUNK_SIZE = 8;
+
+/**
+ * Walk upstream pages in order until `skip + limit` unique items are collected.
+ * Upstream entries that failed to map are already dropped from each page, so `skip`
+ * counts mapped items, never raw upstream results.
+ * @param {Function} getPage - async (page) => { items, totalPages } | null, 1-based
+ * @param {Object} options - { skip, limit, filter, maxPages }
+ *   filter: optional async (item) => boolean, applied in small chunks and only as far as needed
+ *   maxPages: upper bound on upstream pages walked, for filters that rarely match
+ * @returns {Array} Requested slice of mapped items
+ */
+async function collectMappedItems(getPage, { skip = 0, limit = 20, filter = null, maxPages = Infinity } = {}) {
+    const items = [];
+    const seenIds = new Set();
+    const wanted = skip + limit;
+    let page = 1;
+    let totalPages = 1;
+
+    while (items.length < wanted && page <= totalPages && page <= maxPages) {
+        const upstreamPage = await getPage(page);
+        if (!upstreamPage) break;
+
+        // Several upstream entries can resolve to the same TVDB record
+        const candidates = upstreamPage.items.filter(item => {
+            if (seenIds.has(item.id)) return false;
+            seenIds.add(item.id);
+            return true;
+        });
+
+        if (filter) {
+            for (let i = 0; i < candidates.length && items.length < wanted; i += FILTER_CHUNK_SIZE) {
+                const chunk = candidates.slice(i, i + FILTER_CHUNK_SIZE);
+                const matches = await Promise.all(chunk.map(item => filter(item).catch(() => false)));
+                items.push(...chunk.filter((item, index) => matches[index]));
+            }
+        } else {
+            items.push(...candidates);
+        }
+
+        totalPages = upstreamPage.totalPages;
+        page++;
+    }
+
+    return items.slice(skip, wanted);
+}
+
+module.exports = {
+    collectMappedItems
+};
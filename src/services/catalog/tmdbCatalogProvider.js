@@ -0,0 +1,95 @@
+/**
+ * TMDB Catalog Provider
+ * Fetches movie lists (popular, trending, top rated) from TMDB and maps them to TVDB movies
+ */
+
+const { collectMappedItems } = require('./pageWalker');
+const { createPostFilter } = require('../../utils/catalogFilters');
+
+class TmdbCatalogProvider {
+    constructor(apiClient, tmdbService, idMappingService, cacheService, logger) {
+        this.apiClient = apiClient;
+        this.tmdbService = tmdbService;
+        this.idMappingService = idMappingService;
+        this.cacheService = cacheService;
+        this.logger = logger;
+
+        // Filtered rows stop after this many upstream pages instead of walking the whole list
+        this.maxFilteredPages = 10;
+    }
+
+    /**
+     * Fetch one page of catalog items in TVDB search-result shape
+     * @param {Object} definition - Catalog definition from catalogConfig
+     * @param {Object} options - { skip, limit, filters }
+     * @returns {Array} Items ready for CatalogTransformer
+     */
+    async fetchPage(definition, { skip = 0, limit = 20, filters = null } = {}) {
+        // The upstream lists cannot be filtered, so every filter is applied after mapping
+        const filter = createPostFilter(filters, item => this.apiClient.getContentDetails(item.type, item.id));
+
+        return collectMappedItems(page => this.getMappedPage(definition, page), {
+            skip,
+            limit,
+            filter,
+            maxPages: filter ? this.maxFilteredPages : Infinity
+        });
+    }
+
+    /**
+     * Fetch one TMDB page and map its movies to TVDB, cached per page
+     * @returns {Object|null} { items, totalPages }
+     */
+    async getMappedPage(definition, page) {
+        const variant = `page-${page}`;
+        const cachedPage = await this.cacheService.getCatalogItems(definition.id, variant);
+        if (cachedPage) {
+            this.logger?.debug?.(`Catalog cache HIT for ${definition.id} (${variant})`);
+            return cachedPage;
+        }
+
+        try {
+            const { results, totalPages } = await this.tmdbService.getMovieList(definition.category, page);
+
+            const mapped = await Promise.allSettled(results.map(movie => this.mapToTvdb(movie)));
+            const items = mapped
+                .filter(result => result.status === 'fulfilled' && result.value)
+                .map(result => result.value);
+
+            this.logger?.debug?.(`Mapped ${items.length}/${results.length} TMDB movies to TVDB for ${definition.id} (${variant})`);
+
+            const tmdbPage = { items, totalPages };
+            await this.cacheService.setCatalogItems(definition.id, variant, tmdbPage);
+            return tmdbPage;
+        } catch (error) {
+            this.logger?.error?.(`TMDB catalog fetch error for ${definition.id} (${variant}):`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Resolve a TMDB movie to its TVDB movie through the id-mapping index
+     * @param {Object} movie - TMDB list result
+     * @returns {Object|null} Item in TVDB search-result shape, or null if TVDB has no match
+     */
+    async mapToTvdb(movie) {
+        if (!movie?.id) return null;
+
+        const mapping = await this.idMappingService.resolveToTvdb('tmdb', movie.id, 'movie');
+        if (!mapping) {
+            return null;
+        }
+
+        // Title and year come from TMDB; CatalogTransformer loads TVDB artwork and translations
+        return {
+            id: parseInt(mapping.tvdb),
+            type: 'movie',
+            name: movie.title,
+            overview: movie.overview,
+            year: movie.release_date ? movie.release_date.substring(0, 4) : undefined,
+            first_air_time: movie.release_date || undefined
+        };
+    }
+}
+
+module.exports = TmdbCatalogProvider;
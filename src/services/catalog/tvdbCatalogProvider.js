@@ -0,0 +1,176 @@
+/**
+ * TVDB Catalog Provider
+ * Fetches browse lists (popular, trending, latest, network and studio rows) from the TVDB filter endpoints
+ */
+
+const { collectMappedItems } = require('./pageWalker');
+const { SERIES_STATUSES, createPostFilter } = require('../../utils/catalogFilters');
+const { getLanguageForCountry } = require('../../utils/languageMap');
+
+class TvdbCatalogProvider {
+    constructor(apiClient, cacheService, logger, companyService = null) {
+        this.apiClient = apiClient;
+        this.cacheService = cacheService;
+        this.logger = logger;
+        this.companyService = companyService;
+
+        // TVDB filter parameters per catalog category
+        // Status 1 = Continuing for series
+        this.categoryParams = {
+            popular: { sort: 'score', sortType: 'desc' },
+            trending: { sort: 'score', sortType: 'desc', status: 1 },
+            latest: { sort: 'firstAired', sortType: 'desc' },
+            company: { sort: 'score', sortType: 'desc' } // plus the definition's companyId
+        };
+
+        // The filter endpoints require an origin country and original language
+        this.defaultOrigin = { country: 'usa', lang: 'eng' };
+    }
+
+    /**
+     * Fetch one page of catalog items in TVDB search-result shape
+     * @param {Object} definition - Catalog definition from catalogConfig
+     * @param {Object} options - { skip, limit, filters }
+     * @returns {Array} Items ready for CatalogTransformer
+     */
+    async fetchPage(definition, { skip = 0, limit = 20, filters = null } = {}) {
+        const { params, remainingFilters } = await this.buildFilterParams(definition, filters);
+        const variant = Object.entries(params).map(([key, value]) => `${key}=${value}`).join(';') || 'all';
+        const items = await this.getFilteredList(definition, params, variant);
+
+        // Decades, and genres TVDB could not resolve, are filtered on the returned list
+        const filter = createPostFilter(remainingFilters, item => this.apiClient.getContentDetails(item.type, item.id));
+        return collectMappedItems(async () => ({ items, totalPages: 1 }), { skip, limit, filter });
+    }
+
+    /**
+     * Split filters into TVDB filter endpoint parameters and filters left for post-filtering
+     * @returns {Object} { params, remainingFilters }
+     */
+    async buildFilterParams(definition, filters) {
+        const params = {};
+        const remainingFilters = { genre: null, year: null, status: null };
+        if (!filters) {
+            return { params, remainingFilters };
+        }
+
+        if (filters.genre) {
+            const genreId = await this.getGenreId(filters.genre);
+            if (genreId) {
+                params.genre = genreId;
+            } else {
+                remainingFilters.genre = filters.genre;
+            }
+        }
+
+        if (filters.year) {
+            if (filters.year.from === filters.year.to) {
+                params.year = filters.year.from;
+            } else {
+                remainingFilters.year = filters.year;
+            }
+        }
+
+        if (filters.status && definition.type !== 'movie') {
+            params.status = SERIES_STATUSES[filters.status];
+        }
+
+        return { params, remainingFilters };
+    }
+
+    /**
+     * Resolve a TVDB genre name to its id from the cached /genres list
+     * @returns {number|null}
+     */
+    async getGenreId(genreName) {
+        let genres = await this.cacheService.getCatalogItems('tvdb-genres');
+        if (!genres) {
+            try {
+                const response = await this.apiClient.makeRequest('/genres');
+                genres = (response?.data || []).map(genre => ({ id: genre.id, name: genre.name }));
+                await this.cacheService.setCatalogItems('tvdb-genres', 'all', genres);
+            } catch (error) {
+                this.logger?.warn?.(`TVDB genres fetch error: ${error.message}`);
+                return null;
+            }
+        }
+
+        const genre = genres.find(entry => (entry.name || '').toLowerCase() === genreName.toLowerCase());
+        return genre ? genre.id : null;
+    }
+
+    async getFilteredList(definition, filterParams = {}, variant = 'all') {
+        const cachedItems = await this.cacheService.getCatalogItems(definition.id, variant);
+        if (cachedItems) {
+            this.logger?.debug?.(`Catalog cache HIT for ${definition.id} (${variant})`);
+            return cachedItems;
+        }
+
+        const categoryParams = this.categoryParams[definition.category];
+        if (!categoryParams) {
+            this.logger?.warn?.(`Unknown TVDB catalog category: ${definition.category}`);
+            return [];
+        }
+
+        const entityType = definition.type === 'movie' ? 'movie' : 'series';
+        const endpoint = entityType === 'movie' ? '/movies/filter' : '/series/filter';
+
+        try {
+            const response = await this.apiClient.makeRequest(endpoint, {
+                ...await this.getOrigin(definition),
+                ...categoryParams,
+                ...(definition.companyId ? { company: definition.companyId } : {}),
+                ...filterParams
+            });
+            const records = Array.isArray(response?.data) ? response.data : [];
+            const items = records
+                .filter(record => record && record.id && record.name)
+                .map(record => this.normalizeRecord(record, entityType));
+
+            await this.cacheService.setCatalogItems(definition.id, variant, items);
+            this.logger?.debug?.(`Cached ${items.length} items for catalog ${definition.id} (${variant})`);
+            return items;
+        } catch (error) {
+            this.logger?.error?.(`TVDB catalog fetch error for ${definition.id}:`, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Origin country and language sent to the filter endpoints.
+     * Company rows use the company's country, so non-US networks and studios are not filtered out.
+     */
+    async getOrigin(definition) {
+        if (!definition.companyId || !this.companyService) {
+            return this.defaultOrigin;
+        }
+
+        const company = await this.companyService.getCompany(definition.companyId);
+        if (!company?.country) {
+            return this.defaultOrigin;
+        }
+
+        return {
+            country: company.country,
+            lang: getLanguageForCountry(company.country) || this.defaultOrigin.lang
+        };
+    }
+
+    /**
+     * Reduce a TVDB base record to the fields CatalogTransformer reads from search results.
+     * The record's TVDB score is left out on purpose: it is not a 0-10 rating.
+     */
+    normalizeRecord(record, entityType) {
+        return {
+            id: record.id,
+            type: entityType,
+            name: record.name,
+            overview: record.overview,
+            image: record.image,
+            year: record.year,
+            first_air_time: record.firstAired
+        };
+    }
+}
+
+module.exports = TvdbCatalogProvider;
@@ -0,0 +1,81 @@
+const catalogConfig = require('../config/catalogConfig');
+const TvdbCatalogProvider = require('./catalog/tvdbCatalogProvider');
+const TmdbCatalogProvider = require('./catalog/tmdbCatalogProvider');
+const AnimeCatalogProvider = require('./catalog/animeCatalogProvider');
+const CalendarCatalogProvider = require('./catalog/calendarCatalogProvider');
+const ListCatalogProvider = require('./catalog/listCatalogProvider');
+
+/**
+ * Catalog Service
+ * Maps catalog-mode catalog definitions to provider fetchers and renders
+ * their items through the TVDB CatalogTransformer
+ */
+class CatalogService {
+    constructor(tvdbService, cacheService, logger = null, { tmdbService = null, idMappingService = null, kitsuService = null, jikanService = null, companyService = null } = {}) {
+        this.tvdbService = tvdbService;
+        this.cacheService = cacheService;
+        this.logger = logger || {
+            info: console.log,
+            error: console.error,
+            warn: console.warn,
+            debug: console.log
+        };
+        this.pageSize = 20;
+
+        // Keyed by the `provider` field of catalogDefinitions
+        this.providers = {
+            tvdb: new TvdbCatalogProvider(tvdbService, cacheService, this.logger, companyService),
+            calendar: new CalendarCatalogProvider(tvdbService, cacheService, this.logger),
+            list: new ListCatalogProvider(tvdbService, cacheService, this.logger)
+        };
+        if (kitsuService) {
+            this.providers.kitsu = new AnimeCatalogProvider(tvdbService, kitsuService, idMappingService, cacheService, this.logger);
+        }
+        if (jikanService) {
+            this.providers.jikan = new AnimeCatalogProvider(tvdbService, jikanService, idMappingService, cacheService, this.logger);
+        }
+        if (tmdbService) {
+            this.providers.tmdb = new TmdbCatalogProvider(tvdbService, tmdbService, idMappingService, cacheService, this.logger);
+        }
+    }
+
+    /**
+     * Check whether a browse catalog can be served for the requested type
+     * @param {string} catalogId - Catalog ID from the manifest
+     * @param {string} type - Stremio content type
+     * @returns {boolean}
+     */
+    hasCatalog(catalogId, type) {
+        const definition = catalogConfig.getCatalogById(catalogId);
+        if (!definition || catalogConfig.getStremioType(definition) !== type) return false;
+        return !!this.providers[definition.provider] && catalogConfig.isCatalogAvailable(catalogId);
+    }
+
+    /**
+     * Fetch one page of a browse catalog as Stremio metas
+     * @param {string} catalogId - Catalog ID from the manifest
+     * @param {string} type - Stremio content type
+     * @param {Object} options - { skip, language, filters, preferences }
+     * @returns {Array} Stremio metas
+     */
+    async getCatalog(catalogId, type, { skip = 0, language = 'eng', filters = null, preferences = {} } = {}) {
+        if (!this.hasCatalog(catalogId, type)) {
+            return [];
+        }
+
+        const definition = catalogConfig.getCatalogById(catalogId);
+        const provider = this.providers[definition.provider];
+
+        const fetchStart = Date.now();
+        const items = await provider.fetchPage(definition, { skip, limit: this.pageSize, filters });
+        this.logger.debug(`Catalog ${catalogId} provider fetch (skip=${skip}) returned ${items.length} items in ${Date.now() - fetchStart}ms`);
+
+        if (items.length === 0) {
+            return [];
+        }
+
+        return this.tvdbService.transformSearchResults(items, type, language, preferences);
+    }
+}
+
+module.exports = CatalogService;
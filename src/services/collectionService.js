@@ -0,0 +1,68 @@
+const catalogConfig = require('../config/catalogConfig');
+
+/**
+ * Collection Service
+ * Finds movie collections (official TVDB lists) for collection catalogs
+ */
+class CollectionService {
+    constructor(tvdbService, cacheService, logger = null) {
+        this.tvdbService = tvdbService;
+        this.cacheService = cacheService;
+        this.logger = logger || {
+            info: console.log,
+            error: console.error,
+            warn: console.warn,
+            debug: console.log
+        };
+
+        // Movie results whose collections are looked up per search
+        this.movieLimit = 5;
+    }
+
+    /**
+     * Search collections through their movies, for the configuration page
+     * @param {string} query - Title of a movie in the collection
+     * @returns {Array} [{ id, name, movie }]
+     */
+    async searchCollections(query) {
+        const response = await this.tvdbService.makeRequest('/search', {
+            query: query.trim(),
+            type: 'movie',
+            limit: this.movieLimit
+        });
+        const movieIds = (Array.isArray(response?.data) ? response.data : [])
+            .map(result => result.tvdb_id || String(result.id || '').replace(/\D/g, ''))
+            .filter(Boolean);
+
+        const movies = await Promise.all(movieIds.map(movieId =>
+            this.tvdbService.getContentDetails('movie', movieId).catch(() => null)
+        ));
+
+        const collections = new Map();
+        movies.filter(Boolean).forEach(movie => {
+            (movie.lists || [])
+                .filter(list => list?.isOfficial && list.id && !collections.has(list.id))
+                .forEach(list => collections.set(list.id, { id: list.id, name: list.name, movie: movie.name }));
+        });
+
+        return Array.from(collections.values()).filter(collection => collection.name);
+    }
+
+    /**
+     * Replace the placeholder names of collection catalogs with the TVDB list names
+     * @param {Array} catalogs - Manifest catalogs, updated in place
+     */
+    async applyCatalogNames(catalogs) {
+        await Promise.all(catalogs.map(async catalog => {
+            const definition = catalogConfig.getCatalogById(catalog.id);
+            if (!definition || definition.listOrder !== 'release') return;
+
+            const list = await this.tvdbService.getListExtended(definition.category).catch(() => null);
+            if (list?.name) {
+                catalog.name = `TVDB - ${list.name}`;
+            }
+        }));
+    }
+}
+
+module.exports = CollectionService;
@@ -0,0 +1,89 @@
+const catalogConfig = require('../config/catalogConfig');
+
+/**
+ * Company Service
+ * Looks up TVDB companies (networks, studios, production companies) for network and studio catalogs
+ */
+class CompanyService {
+    constructor(tvdbService, cacheService, logger = null) {
+        this.tvdbService = tvdbService;
+        this.cacheService = cacheService;
+        this.logger = logger || {
+            info: console.log,
+            error: console.error,
+            warn: console.warn,
+            debug: console.log
+        };
+    }
+
+    /**
+     * Search companies by name, for the configuration page
+     * @param {string} query - Company name
+     * @param {number} limit - Maximum number of results
+     * @returns {Array} [{ id, name, type, country }]
+     */
+    async searchCompanies(query, limit = 10) {
+        const response = await this.tvdbService.makeRequest('/search', {
+            query: query.trim(),
+            type: 'company',
+            limit
+        });
+        const results = Array.isArray(response?.data) ? response.data : [];
+
+        return results
+            .map(result => ({
+                id: parseInt(result.tvdb_id || String(result.id || '').replace(/\D/g, '')),
+                name: result.name,
+                type: result.primary_type || result.companyType?.companyTypeName || null,
+                country: result.country || null
+            }))
+            .filter(company => company.id && company.name);
+    }
+
+    /**
+     * Get a company record, cached with the content metadata
+     * @param {string|number} companyId - TVDB company id
+     * @returns {Object|null} { id, name, type, country }
+     */
+    async getCompany(companyId) {
+        const cached = await this.cacheService.getMetadata('company', companyId);
+        if (cached) {
+            return cached.notFound ? null : cached;
+        }
+
+        try {
+            const response = await this.tvdbService.makeRequest(`/companies/${companyId}`);
+            const record = response?.data;
+            const company = record?.name ? {
+                id: record.id,
+                name: record.name,
+                type: record.companyType?.companyTypeName || null,
+                country: record.country || null
+            } : null;
+
+            await this.cacheService.setMetadata('company', companyId, null, company || { notFound: true });
+            return company;
+        } catch (error) {
+            this.logger.error(`Company lookup error for ${companyId}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Replace the placeholder names of company catalogs with the company names
+     * @param {Array} catalogs - Manifest catalogs, updated in place
+     */
+    async applyCatalogNames(catalogs) {
+        await Promise.all(catalogs.map(async catalog => {
+            const definition = catalogConfig.getCatalogById(catalog.id);
+            if (!definition?.companyId) return;
+
+            const company = await this.getCompany(definition.companyId);
+            if (company) {
+                catalog.name = `TVDB - ${company.name}`;
+            }
+        }));
+    }
+}
+
+module.exports = CompanyService;
@@ -0,0 +1,248 @@
+/**
+ * ID Mapping Service
+ * Resolves IMDb and TMDB ids to TVDB ids through TVDB's /search/remoteid endpoint,
+ * and keeps a cached bidirectional IMDb <-> TVDB <-> TMDB index in the cache layer.
+ * Kitsu and MyAnimeList ids go through Kitsu's TVDB mappings, then title and year matching.
+ */
+class IdMappingService {
+    constructor(tvdbService, cacheService, logger = null, { kitsuService = null, jikanService = null } = {}) {
+        this.tvdbService = tvdbService;
+        this.cacheService = cacheService;
+        this.kitsuService = kitsuService;
+        this.jikanService = jikanService;
+        this.logger = logger || {
+            info: console.log,
+            error: console.error,
+            warn: console.warn,
+            debug: console.log
+        };
+
+        this.remoteIdSources = ['imdb', 'tmdb'];
+        this.animeSources = ['kitsu', 'mal'];
+
+        // Alternative titles tried when the primary title finds nothing
+        this.maxTitleAttempts = 2;
+        this.yearTolerance = 1;
+    }
+
+    /**
+     * Resolve an external id to its TVDB record id
+     * @param {string} source - 'imdb', 'tmdb', 'kitsu' or 'mal'
+     * @param {string|number} externalId - e.g. 'tt0944947' or 1399
+     * @param {string} type - 'movie' or 'series'
+     * @returns {Object|null} Mapping { type, tvdb, imdb, tmdb }, or null when TVDB has no match
+     */
+    async resolveToTvdb(source, externalId, type) {
+        const id = String(externalId);
+        const cached = await this.cacheService.getIdMapping(source, id, type);
+        if (cached && (cached.notFound || cached.type === type)) {
+            this.logger.debug(`ID mapping cache HIT for ${source}:${id} (${type})`);
+            return cached.notFound ? null : cached;
+        }
+
+        if (this.animeSources.includes(source)) {
+            return this.resolveAnimeToTvdb(source, id, type);
+        }
+        if (!this.remoteIdSources.includes(source)) {
+            return null;
+        }
+
+        let record = null;
+        try {
+            const response = await this.tvdbService.makeRequest(`/search/remoteid/${encodeURIComponent(id)}`);
+            const matches = Array.isArray(response?.data) ? response.data : [];
+            // TMDB reuses numbers between movies and TV, so only matches of the requested type count
+            const candidates = matches.map(match => match[type]).filter(entry => entry && entry.id);
+            record = source === 'tmdb'
+                ? await this.findTmdbRecord(candidates, id, type)
+                : candidates[0] || null;
+        } catch (error) {
+            this.logger.error(`Remote id lookup error for ${source}:${id}:`, error.message);
+            return null;
+        }
+
+        if (!record) {
+            this.logger.debug(`No TVDB ${type} found for ${source}:${id}`);
+            await this.cacheService.setIdMapping(source, id, type, { notFound: true });
+            return null;
+        }
+
+        // Verified TMDB matches are extended records and index all their remote ids at once
+        const mapping = source === 'tmdb'
+            ? await this.rememberRecord(type, record)
+            : await this.remember(type, { tvdb: record.id, [source]: id });
+        this.logger.debug(`Mapped ${source}:${id} to TVDB ${type} ${mapping.tvdb}`);
+        return mapping;
+    }
+
+    /**
+     * Numeric remote ids also match other sources (e.g. TVmaze), so a TMDB candidate is only accepted
+     * when its own remote ids carry the same TheMovieDB id
+     * @param {Array} candidates - Records of the requested type from /search/remoteid
+     * @returns {Object|null} Extended record of the matching candidate
+     */
+    async findTmdbRecord(candidates, tmdbId, type) {
+        for (const candidate of candidates) {
+            const record = Array.isArray(candidate.remoteIds)
+                ? candidate
+                : await this.tvdbService.getContentDetails(type, candidate.id);
+            if (this.tvdbService.extractTmdbId(record) === tmdbId) {
+                return record;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Resolve a Kitsu or MyAnimeList id: Kitsu's TVDB mapping first, then title and year matching
+     */
+    async resolveAnimeToTvdb(source, id, type) {
+        let entry = null;
+        try {
+            if (source === 'kitsu' && this.kitsuService) {
+                entry = await this.kitsuService.getAnime(id);
+            } else if (source === 'mal') {
+                // Kitsu cross-references MyAnimeList and carries TVDB mappings, Jikan only has titles
+                entry = this.kitsuService ? await this.kitsuService.findByExternalId('myanimelist/anime', id) : null;
+                if (!entry?.tvdbId && this.jikanService) {
+                    entry = await this.jikanService.getAnime(id) || entry;
+                }
+            }
+        } catch (error) {
+            this.logger.error(`Anime lookup error for ${source}:${id}:`, error.message);
+            return null;
+        }
+
+        let tvdbId = type === 'series' ? entry?.tvdbId : null;
+        if (!tvdbId && entry) {
+            const match = await this.matchByTitle(entry, type);
+            tvdbId = match ? parseInt(match.tvdb_id) || match.id : null;
+        }
+
+        if (!tvdbId) {
+            this.logger.debug(`No TVDB ${type} found for ${source}:${id}`);
+            await this.cacheService.setIdMapping(source, id, type, { notFound: true });
+            return null;
+        }
+
+        const mapping = await this.remember(type, { tvdb: tvdbId });
+        await this.cacheService.setIdMapping(source, id, type, mapping);
+        this.logger.debug(`Mapped ${source}:${id} to TVDB ${type} ${mapping.tvdb}`);
+        return mapping;
+    }
+
+    /**
+     * Find the TVDB search result whose name, alias or translation matches one of the entry's titles
+     * @param {Object} entry - { title, titles, year }
+     * @param {string} type - 'movie' or 'series'
+     * @returns {Object|null} TVDB search result
+     */
+    async matchByTitle(entry, type = 'series') {
+        const titles = (entry.titles || []).length > 0 ? entry.titles : [entry.title];
+        const queries = [...new Set([entry.title, ...titles])].filter(Boolean).slice(0, this.maxTitleAttempts);
+        const wantedTitles = new Set(titles.map(title => this.normalizeTitle(title)));
+
+        for (const query of queries) {
+            const response = await this.tvdbService.makeRequest('/search', {
+                query,
+                type,
+                limit: 10
+            });
+            const candidates = Array.isArray(response?.data) ? response.data : [];
+
+            const match = candidates.find(candidate =>
+                this.isYearCompatible(candidate.year, entry.year) &&
+                this.getCandidateTitles(candidate).some(title => wantedTitles.has(this.normalizeTitle(title)))
+            );
+
+            if (match) {
+                return match;
+            }
+        }
+
+        this.logger.debug(`No TVDB ${type} match for "${entry.title}" (${entry.year || 'unknown year'})`);
+        return null;
+    }
+
+    getCandidateTitles(candidate) {
+        return [
+            candidate.name,
+            ...(candidate.aliases || []),
+            ...Object.values(candidate.translations || {})
+        ].filter(title => typeof title === 'string');
+    }
+
+    isYearCompatible(candidateYear, entryYear) {
+        if (!candidateYear || !entryYear) return true;
+        return Math.abs(parseInt(candidateYear) - parseInt(entryYear)) <= this.yearTolerance;
+    }
+
+    normalizeTitle(title) {
+        return String(title)
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, '');
+    }
+
+    /**
+     * Get the IMDb and TMDB ids of a TVDB record, from the index or from its extended details
+     * @param {string|number} tvdbId - TVDB record id
+     * @param {string} type - 'movie' or 'series'
+     * @returns {Object} Mapping { type, tvdb, imdb, tmdb }
+     */
+    async getExternalIds(tvdbId, type) {
+        const id = String(tvdbId);
+        const cached = await this.cacheService.getIdMapping('tvdb', id, type);
+        // Entries created from a single remote-id lookup only know one external id
+        if (cached && cached.imdb !== undefined && cached.tmdb !== undefined) {
+            return cached;
+        }
+
+        const details = await this.tvdbService.getContentDetails(type, id);
+        return this.rememberRecord(type, details || { id });
+    }
+
+    /**
+     * Index the remote ids carried by a TVDB extended record
+     * @param {string} type - 'movie' or 'series'
+     * @param {Object} record - TVDB record with `remoteIds`
+     * @returns {Object} Mapping { type, tvdb, imdb, tmdb }
+     */
+    async rememberRecord(type, record) {
+        return this.remember(type, {
+            tvdb: record.id,
+            imdb: this.tvdbService.extractImdbId(record) || null,
+            tmdb: this.tvdbService.extractTmdbId(record)
+        });
+    }
+
+    /**
+     * Merge ids into the index and store the entry under each of its ids
+     * @param {string} type - 'movie' or 'series'
+     * @param {Object} ids - { tvdb, imdb?, tmdb? }
+     * @returns {Object} Merged mapping
+     */
+    async remember(type, ids) {
+        const tvdbId = String(ids.tvdb);
+        const existing = await this.cacheService.getIdMapping('tvdb', tvdbId, type);
+
+        const mapping = { ...(existing && !existing.notFound ? existing : {}), type, tvdb: tvdbId };
+        this.remoteIdSources.forEach(source => {
+            if (ids[source] !== undefined && (ids[source] !== null || mapping[source] === undefined)) {
+                mapping[source] = ids[source] === null ? null : String(ids[source]);
+            }
+        });
+
+        await this.cacheService.setIdMapping('tvdb', tvdbId, type, mapping);
+        for (const source of this.remoteIdSources) {
+            if (mapping[source]) {
+                await this.cacheService.setIdMapping(source, mapping[source], type, mapping);
+            }
+        }
+
+        return mapping;
+    }
+}
+
+module.exports = IdMappingService;
@@ -0,0 +1,95 @@
+const axios = require('axios');
+
+/**
+ * Jikan Service
+ * Client for the Jikan API (unofficial MyAnimeList API, no key required), used for anime catalogs.
+ * Entries are normalized to { sourceId, title, titles, year, subtype, poster, overview, tvdbId }.
+ */
+class JikanService {
+    constructor(logger = null) {
+        this.baseURL = 'https://api.jikan.moe/v4';
+        this.logger = logger || {
+            info: console.log,
+            error: console.error,
+            warn: console.warn,
+            debug: console.log
+        };
+        this.pageSize = 25; // Jikan maximum
+    }
+
+    async makeRequest(endpoint, params = {}) {
+        try {
+            const response = await axios.get(`${this.baseURL}${endpoint}`, {
+                params,
+                headers: { 'User-Agent': 'Stremio-TVDB-Addon/1.0' },
+                timeout: 10000
+            });
+            return response.data;
+        } catch (error) {
+            if (error.response?.status === 429) {
+                this.logger.warn('Jikan rate limit hit');
+            }
+            this.logger.error(`Jikan API error for ${endpoint}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Fetch one page of a MyAnimeList anime list
+     * @param {string} category - Catalog category ('top', 'airing')
+     * @param {number} page - 1-based page number
+     * @returns {Object} { results, totalPages }
+     */
+    async getAnimeList(category, page = 1) {
+        const filters = {
+            top: {},
+            airing: { filter: 'airing' }
+        };
+        if (!filters[category]) {
+            throw new Error(`Unknown Jikan anime list: ${category}`);
+        }
+
+        const data = await this.makeRequest('/top/anime', {
+            ...filters[category],
+            type: 'tv',
+            page,
+            limit: this.pageSize
+        });
+
+        return {
+            results: (data?.data || []).map(entry => this.normalizeEntry(entry)),
+            totalPages: data?.pagination?.last_visible_page || 1
+        };
+    }
+
+    /**
+     * Fetch a single anime by MyAnimeList id
+     * @param {string|number} malId - MyAnimeList anime id
+     * @returns {Object|null} Normalized entry
+     */
+    async getAnime(malId) {
+        const data = await this.makeRequest(`/anime/${malId}`);
+        return data?.data ? this.normalizeEntry(data.data) : null;
+    }
+
+    normalizeEntry(entry) {
+        return {
+            sourceId: String(entry.mal_id),
+            title: entry.title_english || entry.title,
+            titles: [
+                entry.title,
+                entry.title_english,
+                entry.title_japanese,
+                ...(entry.title_synonyms || []),
+                ...(entry.titles || []).map(title => title.title)
+            ].filter(Boolean),
+            year: entry.year || entry.aired?.prop?.from?.year || null,
+            subtype: (entry.type || '').toLowerCase(),
+            poster: entry.images?.jpg?.large_image_url || entry.images?.jpg?.image_url || null,
+            overview: entry.synopsis || null,
+            tvdbId: null // MyAnimeList has no TVDB cross-reference
+        };
+    }
+}
+
+module.exports = JikanService;
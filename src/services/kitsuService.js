@@ -0,0 +1,167 @@
+const axios = require('axios');
+
+/**
+ * Kitsu Service
+ * Client for the public Kitsu API (no key required), used for anime catalogs and kitsu:/mal: ids.
+ * Entries are normalized to { sourceId, title, titles, year, subtype, poster, overview, tvdbId }.
+ */
+class KitsuService {
+    constructor(logger = null) {
+        this.baseURL = 'https://kitsu.io/api/edge';
+        this.logger = logger || {
+            info: console.log,
+            error: console.error,
+            warn: console.warn,
+            debug: console.log
+        };
+        this.pageSize = 20;
+
+        // Kitsu mapping sites that carry a TVDB series id ("81797" or "81797/1")
+        this.tvdbMappingSites = ['thetvdb', 'thetvdb/series'];
+    }
+
+    async makeRequest(endpoint, params = {}) {
+        try {
+            const response = await axios.get(`${this.baseURL}${endpoint}`, {
+                params,
+                headers: {
+                    'Accept': 'application/vnd.api+json',
+                    'User-Agent': 'Stremio-TVDB-Addon/1.0'
+                },
+                timeout: 10000
+            });
+            return response.data;
+        } catch (error) {
+            this.logger.error(`Kitsu API error for ${endpoint}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Fetch one page of a Kitsu anime list
+     * @param {string} category - Catalog category ('trending', 'popular')
+     * @param {number} page - 1-based page number
+     * @returns {Object} { results, totalPages }
+     */
+    async getAnimeList(category, page = 1) {
+        switch (category) {
+            case 'trending':
+                return this.getTrending(page);
+            case 'popular':
+                return this.getPopular(page);
+            default:
+                throw new Error(`Unknown Kitsu anime list: ${category}`);
+        }
+    }
+
+    /**
+     * Kitsu's trending list is a single, unpaged list without mappings,
+     * so mappings are fetched afterwards in one batched request
+     */
+    async getTrending(page) {
+        if (page > 1) {
+            return { results: [], totalPages: 1 };
+        }
+
+        const trending = await this.makeRequest('/trending/anime', { limit: this.pageSize });
+        const ids = (trending?.data || []).map(resource => resource.id);
+        if (ids.length === 0) {
+            return { results: [], totalPages: 1 };
+        }
+
+        const data = await this.makeRequest('/anime', {
+            'filter[id]': ids.join(','),
+            'include': 'mappings',
+            'page[limit]': ids.length
+        });
+
+        // Keep the trending order, the batched request comes back in id order
+        const results = this.normalizeResponse(data);
+        results.sort((a, b) => ids.indexOf(a.sourceId) - ids.indexOf(b.sourceId));
+
+        return { results, totalPages: 1 };
+    }
+
+    async getPopular(page) {
+        const data = await this.makeRequest('/anime', {
+            'sort': 'popularityRank',
+            'include': 'mappings',
+            'page[limit]': this.pageSize,
+            'page[offset]': (page - 1) * this.pageSize
+        });
+
+        const total = data?.meta?.count || 0;
+        return {
+            results: this.normalizeResponse(data),
+            totalPages: Math.ceil(total / this.pageSize)
+        };
+    }
+
+    /**
+     * Fetch a single anime with its mappings
+     * @param {string|number} kitsuId - Kitsu anime id
+     * @returns {Object|null} Normalized entry
+     */
+    async getAnime(kitsuId) {
+        const data = await this.makeRequest('/anime', {
+            'filter[id]': kitsuId,
+            'include': 'mappings'
+        });
+        return this.normalizeResponse(data)[0] || null;
+    }
+
+    /**
+     * Find the Kitsu anime cross-referenced by another site's id
+     * @param {string} externalSite - Kitsu mapping site, e.g. 'myanimelist/anime'
+     * @param {string|number} externalId - Id on that site
+     * @returns {Object|null} Normalized entry
+     */
+    async findByExternalId(externalSite, externalId) {
+        const data = await this.makeRequest('/mappings', {
+            'filter[externalSite]': externalSite,
+            'filter[externalId]': externalId,
+            'include': 'item'
+        });
+        const item = (data?.included || []).find(resource => resource.type === 'anime');
+        return item ? this.getAnime(item.id) : null;
+    }
+
+    normalizeResponse(data) {
+        const mappingsById = new Map(
+            (data?.included || [])
+                .filter(resource => resource.type === 'mappings')
+                .map(resource => [resource.id, resource.attributes])
+        );
+
+        return (data?.data || []).map(resource => {
+            const attributes = resource.attributes || {};
+            const mappingRefs = resource.relationships?.mappings?.data || [];
+            const mappings = mappingRefs.map(ref => mappingsById.get(ref.id)).filter(Boolean);
+
+            return {
+                sourceId: resource.id,
+                title: attributes.titles?.en || attributes.canonicalTitle,
+                titles: [
+                    attributes.canonicalTitle,
+                    attributes.titles?.en,
+                    attributes.titles?.en_jp,
+                    attributes.titles?.ja_jp,
+                    ...(attributes.abbreviatedTitles || [])
+                ].filter(Boolean),
+                year: attributes.startDate ? parseInt(attributes.startDate.substring(0, 4)) : null,
+                subtype: (attributes.subtype || '').toLowerCase(),
+                poster: attributes.posterImage?.large || attributes.posterImage?.original || null,
+                overview: attributes.synopsis || null,
+                tvdbId: this.extractTvdbId(mappings)
+            };
+        });
+    }
+
+    extractTvdbId(mappings) {
+        const tvdbMapping = mappings.find(mapping => this.tvdbMappingSites.includes(mapping.externalSite));
+        const match = tvdbMapping?.externalId?.match(/^(\d+)/);
+        return match ? parseInt(match[1]) : null;
+    }
+}
+
+module.exports = KitsuService;
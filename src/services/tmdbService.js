@@ -0,0 +1,94 @@
+const axios = require('axios');
+
+/**
+ * TMDB Service
+ * Minimal client for the TMDB v3 API, used to fetch movie lists for catalog mode and movie artwork fallbacks.
+ * Accepts either a v3 API key or a v4 read access token (sent as a Bearer token).
+ */
+class TMDBService {
+    constructor(apiKey, logger = null) {
+        this.baseURL = 'https://api.themoviedb.org/3';
+        this.apiKey = apiKey;
+        this.logger = logger || {
+            info: console.log,
+            error: console.error,
+            warn: console.warn,
+            debug: console.log
+        };
+
+        if (!this.apiKey) {
+            throw new Error('TMDB_API_KEY is required to use the TMDB service');
+        }
+
+        // v4 read access tokens are JWTs, v3 keys are 32-character hex strings
+        this.useBearerToken = this.apiKey.startsWith('eyJ');
+
+        // TMDB endpoints per catalog category
+        this.movieListEndpoints = {
+            popular: '/movie/popular',
+            trending: '/trending/movie/week',
+            'top-rated': '/movie/top_rated'
+        };
+
+        // TMDB never serves more than 500 pages of a list
+        this.maxPages = 500;
+    }
+
+    async makeRequest(endpoint, params = {}) {
+        const headers = { 'Accept': 'application/json' };
+        const query = { ...params };
+
+        if (this.useBearerToken) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        } else {
+            query.api_key = this.apiKey;
+        }
+
+        try {
+            const response = await axios.get(`${this.baseURL}${endpoint}`, {
+                params: query,
+                headers,
+                timeout: 10000
+            });
+            return response.data;
+        } catch (error) {
+            if (error.response?.status === 404) {
+                return null;
+            }
+            this.logger.error(`TMDB API error for ${endpoint}:`, error.response?.data?.status_message || error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Fetch one page of a TMDB movie list
+     * @param {string} category - Catalog category ('popular', 'trending', 'top-rated')
+     * @param {number} page - 1-based TMDB page number
+     * @returns {Object} { results, page, totalPages }
+     */
+    async getMovieList(category, page = 1) {
+        const endpoint = this.movieListEndpoints[category];
+        if (!endpoint) {
+            throw new Error(`Unknown TMDB movie list: ${category}`);
+        }
+
+        const data = await this.makeRequest(endpoint, { page });
+        return {
+            results: Array.isArray(data?.results) ? data.results : [],
+            page: data?.page || page,
+            totalPages: Math.min(data?.total_pages || 0, this.maxPages)
+        };
+    }
+
+    /**
+     * Fetch the posters, backdrops and logos of a movie
+     * Language-less images (null iso_639_1) are included, they are usually the textless variants
+     * @param {string|number} tmdbId - TMDB movie id
+     * @returns {Object|null} { posters, backdrops, logos }
+     */
+    async getMovieImages(tmdbId) {
+        return this.makeRequest(`/movie/${tmdbId}/images`);
+    }
+}
+
+module.exports = TMDBService;
@@ -3,41 +3,35 @@
  * Handles poster, background, and logo selection for movies and series
  */
 
+const { mapBaseToTvdb } = require('../../utils/languageMap');
+
+const TMDB_IMAGE_BASE_URL = 'https://image.tmdb.org/t/p/original';
+
 class ArtworkHandler {
-    constructor(apiClient, cacheService, logger) {
+    constructor(apiClient, cacheService, logger, tmdbService = null) {
         this.apiClient = apiClient;
         this.cacheService = cacheService;
         this.logger = logger;
+        this.tmdbService = tmdbService;
+
+        // TVDB artwork type ids
+        this.artworkTypes = {
+            series: { poster: 2, background: 3, clearlogo: 23 },
+            movies: { poster: 14, background: 15, clearlogo: 25 }
+        };
     }
 
     async getArtwork(entityType, entityId, language = 'eng') {
         try {
-            const cacheKey = `${entityType}:${entityId}:${language}`;
             const cachedArtwork = await this.cacheService.getArtwork(entityType, entityId, language);
             if (cachedArtwork) {
                 this.logger?.debug?.(`Artwork cache HIT for ${entityType} ${entityId}`);
                 return cachedArtwork;
             }
 
-            if (entityType === 'movies' || entityType === 'movie') {
-                const result = { poster: null, background: null, logo: null };
-                await this.cacheService.setArtwork(entityType, entityId, language, result);
-                return result;
-            }
-            
-            const response = await this.apiClient.makeRequest(`/series/${entityId}/artworks`);
-            
-            const artworks = response?.data?.artworks || [];
-            
-            if (artworks.length === 0) {
-                const result = { poster: null, background: null, logo: null };
-                await this.cacheService.setArtwork(entityType, entityId, language, result);
-                return result;
-            }
-            
-            const result = this.selectOptimalArtwork(artworks, language);
-            
-            result.logo = this.selectBestClearlogo(artworks, language);
+            const result = (entityType === 'movies' || entityType === 'movie')
+                ? await this.getMovieArtwork(entityId, language)
+                : await this.getSeriesArtwork(entityId, language);
             
             await this.cacheService.setArtwork(entityType, entityId, language, result);
             this.logger?.debug?.(`Cached artwork for ${entityType} ${entityId}`);
@@ -50,17 +44,93 @@ class ArtworkHandler {
         }
     }
 
-    selectOptimalArtwork(artworks, preferredLanguage = 'eng') {
+    async getSeriesArtwork(seriesId, language) {
+        const response = await this.apiClient.makeRequest(`/series/${seriesId}/artworks`);
+        const artworks = response?.data?.artworks || [];
+        return this.selectArtworkSet(artworks, language, this.artworkTypes.series);
+    }
+
+    /**
+     * Movie artwork from the (cached) extended movie record, with TMDB images filling any gaps
+     */
+    async getMovieArtwork(movieId, language) {
+        const movie = await this.apiClient.getMovieDetails(movieId);
+        const result = this.selectArtworkSet(movie?.artworks || [], language, this.artworkTypes.movies);
+
+        if (result.poster && result.background && result.logo) {
+            return result;
+        }
+
+        const tmdbId = this.apiClient.extractTmdbId(movie);
+        if (!this.tmdbService || !tmdbId) {
+            return result;
+        }
+
+        try {
+            const tmdbArtwork = await this.getTmdbMovieArtwork(tmdbId, language);
+            result.poster = result.poster || tmdbArtwork.poster;
+            result.background = result.background || tmdbArtwork.background;
+            result.logo = result.logo || tmdbArtwork.logo;
+        } catch (error) {
+            this.logger?.debug?.(`TMDB artwork fallback failed for movie ${movieId}: ${error.message}`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Select TMDB movie images with the same language fallback chain as TVDB artwork
+     */
+    async getTmdbMovieArtwork(tmdbId, language) {
+        const images = await this.tmdbService.getMovieImages(tmdbId);
+        const types = this.artworkTypes.movies;
+
+        // Shape TMDB images like TVDB artworks so the same selectors apply
+        const toArtworks = (entries, type) => (entries || []).map(entry => ({
+            type,
+            image: `${TMDB_IMAGE_BASE_URL}${entry.file_path}`,
+            language: entry.iso_639_1 ? mapBaseToTvdb(entry.iso_639_1) : null,
+            score: entry.vote_average || 0,
+            width: entry.width,
+            height: entry.height
+        }));
+
+        const artworks = [
+            ...toArtworks(images?.posters, types.poster),
+            ...toArtworks(images?.backdrops, types.background),
+            ...toArtworks(images?.logos, types.clearlogo)
+        ];
+        return this.selectArtworkSet(artworks, language, types);
+    }
+
+    /**
+     * Pick poster, background and clearlogo from a list of artworks
+     * @param {Array} artworks - TVDB artwork records
+     * @param {string} language - Preferred TVDB language code
+     * @param {Object} types - Artwork type ids { poster, background, clearlogo }
+     * @returns {Object} { poster, background, logo }
+     */
+    selectArtworkSet(artworks, language, types = this.artworkTypes.series) {
+        if (artworks.length === 0) {
+            return { poster: null, background: null, logo: null };
+        }
+
+        const result = this.selectOptimalArtwork(artworks, language, types);
+        result.logo = this.selectBestClearlogo(artworks, language, types.clearlogo);
+        return result;
+    }
+
+    selectOptimalArtwork(artworks, preferredLanguage = 'eng', types = this.artworkTypes.series) {
         const posters = [];
         const backgrounds = [];
         
         for (const art of artworks) {
             if (!art.image) continue;
             
-            if (art.type === 2 || art.type === '2' || art.typeName?.toLowerCase().includes('poster')) {
+            if (Number(art.type) === types.poster || art.typeName?.toLowerCase().includes('poster')) {
                 posters.push(art);
             }
-            if (art.type === 3 || art.type === '3' || 
+            if (Number(art.type) === types.background || 
                 art.typeName?.toLowerCase().includes('fanart') || 
                 art.typeName?.toLowerCase().includes('background')) {
                 backgrounds.push(art);
@@ -134,10 +204,10 @@ class ArtworkHandler {
      * Select best clearlogo with proper fallback chain
      * Fallback: clearlogo (pref lang) -> clearlogo (eng) -> clearlogo (any) -> null (plain text)
      */
-    selectBestClearlogo(artworks, preferredLanguage = 'eng') {
-        // Filter for ONLY clearlogo artworks (type 23)
+    selectBestClearlogo(artworks, preferredLanguage = 'eng', clearlogoType = this.artworkTypes.series.clearlogo) {
+        // Filter for ONLY clearlogo artworks (type 23 for series, 25 for movies)
         const clearlogos = artworks.filter(art => 
-            art.type === 23 || art.type === '23' || 
+            Number(art.type) === clearlogoType || 
             art.typeName?.toLowerCase().includes('clearlogo') ||
             (art.image && art.image.includes('/clearlogo/'))
         );
@@ -283,14 +353,15 @@ class ArtworkHandler {
 
     /**
      * Get type-specific clearlogo sources with proper fallback chain
-     * Only returns clearlogo (type 23)
+     * Only returns clearlogo (type 23 for series, 25 for movies)
      */
     getTypeSpecificClearlogos(item, language = 'eng') {
         if (!item.artworks) return [];
         
-        // Filter for ONLY clearlogo (type 23) - exclude clearart
+        // Filter for ONLY clearlogo - exclude clearart
+        const clearlogoTypes = [this.artworkTypes.series.clearlogo, this.artworkTypes.movies.clearlogo];
         const clearlogos = item.artworks.filter(art => {
-            const isClearlogo = art.type === 23 || art.type === '23' || 
+            const isClearlogo = clearlogoTypes.includes(Number(art.type)) || 
                 art.typeName?.toLowerCase().includes('clearlogo') ||
                 (art.image && art.image.includes('/clearlogo/'));
             return isClearlogo && art.image;
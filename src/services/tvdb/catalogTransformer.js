@@ -3,7 +3,8 @@
  * Transforms search results to Stremio catalog format with IMDB filtering
  */
 
-const { validateImdbRequirement } = require('../../utils/imdbFilter');
+const { validateImdbRequirement, passesQualityGate } = require('../../utils/imdbFilter');
+const { isCertificationAllowed } = require('../../utils/contentRatings');
 
 class CatalogTransformer {
     constructor(contentFetcher, translationService, artworkHandler, cacheService, logger) {
@@ -14,7 +15,10 @@ class CatalogTransformer {
         this.logger = logger;
     }
 
-    async transformSearchResults(results, type, userLanguage = null) {
+    /**
+     * @param {Object} preferences - Install preferences; `qualityGate` and `maxCertification` filter the results
+     */
+    async transformSearchResults(results, type, userLanguage = null, preferences = {}) {
         const basicFiltered = results.filter(item => {
             if (type === 'movie' && item.type !== 'movie') return false;
             if (type === 'series' && item.type !== 'series') return false;
@@ -37,13 +41,29 @@ class CatalogTransformer {
             return [];
         }
 
-        const imdbFilteredResults = await this.processIMDBValidationInChunks(transformedResults);
+        const imdbFilteredResults = await this.processIMDBValidationInChunks(transformedResults, preferences, userLanguage);
         
-        this.logger?.debug?.(`IMDB catalog filtering: ${transformedResults.length} → ${imdbFilteredResults.length} results`);
+        this.logger?.debug?.(`IMDB catalog filtering (${preferences.qualityGate || 'strict'}): ${transformedResults.length} → ${imdbFilteredResults.length} results`);
         return imdbFilteredResults;
     }
 
-    async processIMDBValidationInChunks(transformedResults, chunkSize = 8) {
+    /**
+     * Apply the install's quality gate and maximum certification to transformed metas
+     * The cached validation keeps the detailed record, so every policy is checked against the same cache entry;
+     * `isValid` records the strict result
+     * @param {Array} transformedResults - Catalog metas
+     * @param {Object} preferences - { qualityGate: 'strict' | 'poster' | 'off', maxCertification: age or 'off' }
+     * @param {string} userLanguage - Region used to read content ratings
+     * @returns {Array} Metas that pass the gate
+     */
+    async processIMDBValidationInChunks(transformedResults, preferences = {}, userLanguage = null, chunkSize = 8) {
+        const qualityGate = preferences.qualityGate || 'strict';
+        const maxCertification = preferences.maxCertification ?? 'off';
+
+        if (qualityGate === 'off' && maxCertification === 'off') {
+            return transformedResults;
+        }
+
         const results = [];
         
         for (let i = 0; i < transformedResults.length; i += chunkSize) {
@@ -52,30 +72,22 @@ class CatalogTransformer {
             const chunkPromises = chunk.map(async (meta) => {
                 try {
                     const numericId = meta.id.replace('tvdb-', '');
-                    
-                    const cachedValidation = await this.cacheService.getImdbValidation(meta.type, numericId);
-                    if (cachedValidation !== null) {
-                        if (cachedValidation.isValid === true) {
-                            return meta;
-                        } else if (cachedValidation.isValid === false) {
-                        this.logger?.debug?.(`"${meta.name}" - Cached as invalid, excluded from catalog`);
-                            return null;
-                        } else {
-                            this.logger?.debug?.(`"${meta.name}" - Cached validation is null, re-validating`);
-                        }
+                    const validation = await this.getValidation(meta, numericId);
+
+                    const passesGate = qualityGate === 'strict'
+                        ? validation.isValid === true
+                        : !!validation.detailData && passesQualityGate(validation.detailData, qualityGate, meta.type);
+                    if (!passesGate) {
+                        this.logger?.debug?.(`"${meta.name}" - Rejected by the ${qualityGate} quality gate, excluded from catalog`);
+                        return null;
                     }
-                    
-                    const detailedData = await this.contentFetcher.getContentDetails(meta.type, numericId);
-                    const isValid = detailedData && validateImdbRequirement(detailedData, meta.type);
-                    
-                    await this.cacheService.setImdbValidation(meta.type, numericId, isValid, detailedData);
-                    
-                    if (isValid) {
-                        return meta;
-                    } else {
-                        this.logger?.debug?.(`"${meta.name}" - No IMDB ID, excluded from catalog`);
+
+                    if (!isCertificationAllowed(validation.detailData, maxCertification, userLanguage || 'eng')) {
+                        this.logger?.debug?.(`"${meta.name}" - Rated above ${maxCertification}, excluded from catalog`);
                         return null;
                     }
+
+                    return meta;
                 } catch (error) {
                     return null;
                 }
@@ -92,6 +104,26 @@ class CatalogTransformer {
         return results;
     }
 
+    /**
+     * Cached IMDb validation of a title, with its detailed record
+     * @returns {Object} { isValid, detailData }
+     */
+    async getValidation(meta, numericId) {
+        const cachedValidation = await this.cacheService.getImdbValidation(meta.type, numericId);
+        if (cachedValidation !== null && cachedValidation.isValid !== null && cachedValidation.isValid !== undefined) {
+            return cachedValidation;
+        }
+        if (cachedValidation !== null) {
+            this.logger?.debug?.(`"${meta.name}" - Cached validation is null, re-validating`);
+        }
+
+        const detailedData = await this.contentFetcher.getContentDetails(meta.type, numericId);
+        const isValid = detailedData && validateImdbRequirement(detailedData, meta.type);
+
+        await this.cacheService.setImdbValidation(meta.type, numericId, isValid, detailedData);
+        return { isValid, detailData: detailedData };
+    }
+
     async transformSearchItemToStremioMeta(item, userLanguage = null) {
         try {
             const stremioType = item.type === 'movie' ? 'movie' : 'series';
@@ -115,6 +115,29 @@ class ContentFetcher {
         }
     }
 
+    /**
+     * Get a TVDB list (official lists are also used as movie collections), cached with the content metadata
+     * @param {string|number} listId - TVDB list id
+     * @returns {Object|null} Extended list record with its entities
+     */
+    async getListExtended(listId) {
+        const cachedList = await this.cacheService.getMetadata('list', listId);
+        if (cachedList) {
+            this.logger?.debug?.(`Metadata cache HIT for list ${listId}`);
+            return cachedList.notFound ? null : cachedList;
+        }
+
+        try {
+            const response = await this.apiClient.makeRequest(`/lists/${listId}/extended`);
+            const list = response?.data || null;
+            await this.cacheService.setMetadata('list', listId, null, list || { notFound: true });
+            return list;
+        } catch (error) {
+            this.logger?.error?.(`List extended error for ID ${listId}:`, error.message);
+            return null;
+        }
+    }
+
     extractImdbId(item) {
         if (item.remoteIds && Array.isArray(item.remoteIds)) {
             const imdbRemote = item.remoteIds.find(remote => 
@@ -146,15 +169,16 @@ class ContentFetcher {
                 const remoteId = remote.id;
                 
                 if (!remoteId) return;
+
+                if (this.isTmdbSource(sourceName)) {
+                    externalIds.tmdb_id = remoteId.toString();
+                    return;
+                }
                 
                 switch (sourceName) {
                     case 'imdb':
                         externalIds.imdb_id = remoteId.startsWith('tt') ? remoteId : `tt${remoteId}`;
                         break;
-                    case 'themoviedb':
-                    case 'tmdb':
-                        externalIds.tmdb_id = remoteId.toString();
-                        break;
                     case 'thetvdb':
                         externalIds.thetvdb_id = remoteId.toString();
                         break;
@@ -173,11 +197,35 @@ class ContentFetcher {
         return externalIds;
     }
 
-    filterValidSeasons(seasonsData) {
+    /**
+     * TMDB id among a record's remote ids, shared by artwork and id mapping so both read the same id
+     * @param {Object} item - TVDB record with `remoteIds`
+     * @returns {string|null} TMDB id
+     */
+    extractTmdbId(item) {
+        const remoteIds = Array.isArray(item?.remoteIds) ? item.remoteIds : [];
+        const tmdbRemote = remoteIds.find(remote => remote.id && this.isTmdbSource(remote.sourceName?.toLowerCase()));
+        return tmdbRemote ? String(tmdbRemote.id) : null;
+    }
+
+    // TVDB names the source "TheMovieDB.com"
+    isTmdbSource(sourceName) {
+        return !!sourceName && (sourceName.includes('themoviedb') || sourceName === 'tmdb');
+    }
+
+    /**
+     * Keep the seasons of one episode order, specials last
+     * @param {Array} seasonsData - Seasons of every type from the extended series record
+     * @param {string} seasonType - Episode order: 'default' (aired), 'absolute' or 'dvd'
+     */
+    filterValidSeasons(seasonsData, seasonType = 'default') {
         if (!Array.isArray(seasonsData)) return [];
+
+        // Aired-order seasons are typed 'official' on season records
+        const recordType = seasonType === 'default' ? 'official' : seasonType;
         
         return seasonsData.filter(season => {
-            if (season.type?.type !== 'official') return false;
+            if (season.type?.type !== recordType) return false;
             
             const seasonNumber = season.number;
             return seasonNumber === 0 || seasonNumber >= 1;
@@ -192,18 +240,39 @@ class ContentFetcher {
         });
     }
 
-    filterAiredEpisodes(episodes) {
-        return episodes.filter(episode => {
+    /**
+     * Episodes to list: aired and upcoming ones, plus announced ones when the series record is given
+     * Announced episodes have no air date yet (TBA): regular-season episodes numbered after the last dated
+     * episode of a series that has not ended. Other undated episodes are missing data and are dropped
+     * @param {Array} episodes - TVDB episodes
+     * @param {Object} series - Detailed series record, optional
+     */
+    filterAiredEpisodes(episodes, series = null) {
+        const isDated = episode => {
             // Must have an air date to be valid
             if (!episode.aired) return false;
-            
+
             // Include all episodes with valid dates (past AND future)
             // Stremio will automatically show future episodes as "upcoming" with hourglass icon
             const airDate = new Date(episode.aired);
             if (isNaN(airDate.getTime())) return false;
-            
+
             return episode.seasonNumber >= 0;
-        });
+        };
+
+        const status = String(series?.status?.name || series?.status || '').toLowerCase();
+        if (!series || status === 'ended') {
+            return episodes.filter(isDated);
+        }
+
+        const position = episode => episode.seasonNumber * 100000 + (episode.number || 0);
+        const lastDated = episodes
+            .filter(episode => episode.seasonNumber > 0 && isDated(episode))
+            .reduce((last, episode) => Math.max(last, position(episode)), 0);
+
+        return episodes.filter(episode => isDated(episode) ||
+            (!episode.aired && episode.seasonNumber > 0 && episode.number > 0 && position(episode) > lastDated)
+        );
     }
 
     groupEpisodesBySeason(episodes) {
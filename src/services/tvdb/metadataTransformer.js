@@ -3,8 +3,10 @@
  * Transforms detailed content data to full Stremio metadata format
  */
 
-const { validateImdbRequirement } = require('../../utils/imdbFilter');
+const { passesQualityGate } = require('../../utils/imdbFilter');
+const { resolveCertification } = require('../../utils/contentRatings');
 const { getEnhancedReleaseInfo } = require('../../utils/theatricalStatus');
+const { getEpisodeAirTime } = require('../../utils/airTime');
 
 class MetadataTransformer {
     constructor(contentFetcher, translationService, artworkHandler, logger) {
@@ -12,13 +14,17 @@ class MetadataTransformer {
         this.translationService = translationService;
         this.artworkHandler = artworkHandler;
         this.logger = logger;
+
+        // Collection entries are loaded with the movie, keep large official lists bounded
+        this.maxCollectionLinks = 20;
+        this.maxTrailers = 3;
     }
 
-    async transformDetailedToStremioMeta(item, type, seasonsData = null, tvdbLanguage = 'eng') {
+    async transformDetailedToStremioMeta(item, type, seasonsData = null, tvdbLanguage = 'eng', preferences = {}) {
         try {
             const stremioType = type === 'movie' ? 'movie' : 'series';
-            if (!validateImdbRequirement(item, stremioType)) {
-                this.logger?.debug(`Skipping ${stremioType} transformation - IMDB ID required`);
+            if (!passesQualityGate(item, preferences.qualityGate, stremioType)) {
+                this.logger?.debug(`Skipping ${stremioType} transformation - rejected by the ${preferences.qualityGate || 'strict'} quality gate`);
                 return null;
             }
             const numericId = this.extractNumericId(item.id);
@@ -67,11 +73,12 @@ class MetadataTransformer {
             }
             await this.applyTranslations(meta, stremioType, numericId, tvdbLanguage, item);
             await this.applyArtwork(meta, stremioType, numericId, tvdbLanguage, item);
-            this.addBasicMetadata(meta, item, tvdbLanguage);
+            this.addBasicMetadata(meta, item, tvdbLanguage, preferences);
+            this.addTrailers(meta, item, tvdbLanguage);
             if (stremioType === 'series') {
-                await this.addSeriesContent(meta, numericId, seasonsData, tvdbLanguage, externalIds);
+                await this.addSeriesContent(meta, numericId, seasonsData, tvdbLanguage, externalIds, preferences, item);
             } else {
-                this.addMovieContent(meta, externalIds.imdb_id);
+                await this.addMovieContent(meta, item, externalIds.imdb_id);
             }
             this.cleanupEmptyArrays(meta);
             if (process.env.NODE_ENV === 'development') {
@@ -166,7 +173,7 @@ class MetadataTransformer {
         }
     }
 
-    addBasicMetadata(meta, item, tvdbLanguage = 'eng') {
+    addBasicMetadata(meta, item, tvdbLanguage = 'eng', preferences = {}) {
         this.addTheatricalReleaseInfo(meta, item, tvdbLanguage);
         
         this.addEnhancedYear(meta, item);
@@ -177,7 +184,8 @@ class MetadataTransformer {
             meta.genres = item.genres.map(genre => genre.name || genre).filter(Boolean);
         }
 
-        this.addCastWithGenreFiltering(meta, item);
+        this.addCastWithGenreFiltering(meta, item, preferences);
+        this.addCrew(meta, item);
 
         if (item.originalCountry) {
             meta.country = [item.originalCountry];
@@ -189,13 +197,83 @@ class MetadataTransformer {
             meta.language = item.originalLanguage;
         }
 
+        const { networks, studios } = this.extractCompanyNames(item);
+
         if (item.originalNetwork?.name) {
             meta.network = item.originalNetwork.name;
         } else if (item.latestNetwork?.name) {
             meta.network = item.latestNetwork.name;
+        } else if (networks.length > 0) {
+            meta.network = networks[0];
+        }
+
+        if (studios.length > 0) {
+            meta.studios = studios;
+        }
+
+        const certification = resolveCertification(item, tvdbLanguage);
+        if (certification) {
+            meta.certification = certification.name;
         }
     }
 
+    /**
+     * Trailers from the record's TVDB trailers: the user's language first, then English, then any other.
+     * `trailerStreams` plays YouTube and direct links; the older `trailers` field only supports YouTube
+     */
+    addTrailers(meta, item, tvdbLanguage = 'eng') {
+        const trailers = (Array.isArray(item.trailers) ? item.trailers : [])
+            .filter(trailer => typeof trailer?.url === 'string' && /^https?:\/\//.test(trailer.url));
+
+        if (trailers.length === 0) {
+            return;
+        }
+
+        const languageRank = trailer => trailer.language === tvdbLanguage ? 0 : trailer.language === 'eng' ? 1 : 2;
+        const ordered = trailers
+            .map((trailer, index) => ({ trailer, index }))
+            .sort((a, b) => languageRank(a.trailer) - languageRank(b.trailer) || a.index - b.index)
+            .map(entry => entry.trailer)
+            .slice(0, this.maxTrailers);
+
+        meta.trailerStreams = ordered.map(trailer => {
+            const ytId = this.extractYouTubeId(trailer.url);
+            const title = trailer.name || `${meta.name} - Trailer`;
+            return ytId ? { title, ytId } : { title, url: trailer.url };
+        });
+
+        meta.trailers = meta.trailerStreams
+            .filter(stream => stream.ytId)
+            .map(stream => ({ source: stream.ytId, type: 'Trailer' }));
+    }
+
+    extractYouTubeId(url) {
+        const match = url.match(/(?:youtube\.com\/(?:watch\?(?:.*&)?v=|embed\/|shorts\/)|youtu\.be\/)([\w-]{11})/);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Network and studio names from the record's companies.
+     * Series list companies with a companyType; movies group them by role ({ network, studio, ... })
+     * @returns {Object} { networks, studios }
+     */
+    extractCompanyNames(item) {
+        const companies = item.companies;
+        if (!companies) {
+            return { networks: [], studios: [] };
+        }
+
+        const namesOf = list => [...new Set((Array.isArray(list) ? list : []).map(company => company?.name).filter(Boolean))];
+
+        if (Array.isArray(companies)) {
+            const ofType = typeName => companies.filter(company =>
+                (company.companyType?.companyTypeName || '').toLowerCase() === typeName);
+            return { networks: namesOf(ofType('network')), studios: namesOf(ofType('studio')) };
+        }
+
+        return { networks: namesOf(companies.network), studios: namesOf(companies.studio) };
+    }
+
     addEnhancedYear(meta, item) {
         if (meta.type === 'movie' && meta.year) {
             this.logger?.info?.(`📅 Preserving theatrical year for movie: ${meta.year}`);
@@ -286,7 +364,12 @@ class MetadataTransformer {
         }
     }
 
-    addCastWithGenreFiltering(meta, item) {
+    /**
+     * Cast names, and `app_extras.cast` entries with the character and headshot, in TVDB credit order
+     * @param {Object} preferences - `castLimit` caps the entries, `castTypes` selects the credits
+     *   ('actors', 'guests' = actors and guest stars, 'all' = also directors and writers)
+     */
+    addCastWithGenreFiltering(meta, item, preferences = {}) {
         if (!Array.isArray(item.characters) || item.characters.length === 0) {
             return;
         }
@@ -299,30 +382,89 @@ class MetadataTransformer {
             return;
         }
 
-        // Filter valid actors and sort by importance
-        const validActors = item.characters
+        const castTypes = {
+            actors: ['Actor'],
+            guests: ['Actor', 'Guest Star'],
+            all: ['Actor', 'Guest Star', 'Director', 'Writer']
+        }[preferences.castTypes] || ['Actor'];
+
+        // Filter valid credits and sort by importance
+        const credits = item.characters
             .filter(c => c.people?.name || c.personName)
+            .filter(c => castTypes.some(peopleType => this.isPeopleType(c, peopleType, peopleType === 'Actor')))
             .sort((a, b) => {
-                // Primary: Featured actors first
-                const aFeatured = a.isFeatured ? 0 : 1;
-                const bFeatured = b.isFeatured ? 0 : 1;
-                if (aFeatured !== bFeatured) return aFeatured - bFeatured;
-                
-                // Secondary: Sort by sort order (lower number = more important)
+                // Primary: Sort by sort order (lower number = more important)
                 const aSort = a.sort !== undefined ? a.sort : 999;
                 const bSort = b.sort !== undefined ? b.sort : 999;
-                return aSort - bSort;
-            });
+                if (aSort !== bSort) return aSort - bSort;
+
+                // Secondary: Featured credits first
+                const aFeatured = a.isFeatured ? 0 : 1;
+                const bFeatured = b.isFeatured ? 0 : 1;
+                return aFeatured - bFeatured;
+            })
+            .slice(0, preferences.castLimit || 5);
+
+        if (credits.length === 0) {
+            return;
+        }
 
-        // Take top 5 most important actors - Can be adjusted
-        const topActors = validActors
-            .slice(0, 5)
+        // Directors and writers are listed in their own fields, `cast` keeps the performers
+        const topActors = credits
+            .filter(c => !this.isPeopleType(c, 'Director') && !this.isPeopleType(c, 'Writer'))
             .map(c => c.people?.name || c.personName);
 
         if (topActors.length > 0) {
             meta.cast = topActors;
             this.logger?.info?.(`🎭 Added ${topActors.length} cast members (sorted by importance): ${topActors.join(', ')}`);
         }
+
+        meta.app_extras = {
+            ...meta.app_extras,
+            cast: credits.map(c => ({
+                name: c.people?.name || c.personName,
+                character: c.name || (c.peopleType && c.peopleType !== 'Actor' ? c.peopleType : null),
+                photo: c.personImgURL || c.people?.image || null
+            }))
+        };
+    }
+
+    /**
+     * Directors and writers from the record's credits, in credit order
+     */
+    addCrew(meta, item) {
+        if (!Array.isArray(item.characters) || item.characters.length === 0) {
+            return;
+        }
+
+        const namesOf = peopleType => [...new Set(item.characters
+            .filter(c => this.isPeopleType(c, peopleType))
+            .sort((a, b) => (a.sort ?? 999) - (b.sort ?? 999))
+            .map(c => c.people?.name || c.personName)
+            .filter(Boolean))]
+            .slice(0, 5);
+
+        const directors = namesOf('Director');
+        const writers = namesOf('Writer');
+
+        if (directors.length > 0) {
+            meta.director = directors;
+        }
+        if (writers.length > 0) {
+            meta.writer = writers;
+        }
+    }
+
+    /**
+     * Match a credit against a TVDB people type, by name or by id
+     * @param {boolean} matchUntyped - Whether credits without any type count as a match
+     */
+    isPeopleType(character, peopleType, matchUntyped = false) {
+        const typeIds = { Director: 1, Writer: 2, Actor: 3, 'Guest Star': 4 };
+        if (!character.peopleType && character.type === undefined) {
+            return matchUntyped;
+        }
+        return character.peopleType === peopleType || character.type === typeIds[peopleType];
     }
 
     isAnimatedContent(genres) {
@@ -342,7 +484,7 @@ class MetadataTransformer {
         });
     }
 
-    async addSeriesContent(meta, numericId, seasonsData, tvdbLanguage, externalIds) {
+    async addSeriesContent(meta, numericId, seasonsData, tvdbLanguage, externalIds, preferences = {}, item = null) {
         meta.videos = [];
         meta.seasons = 0;
         
@@ -351,70 +493,219 @@ class MetadataTransformer {
             return;
         }
 
-        const validSeasons = this.contentFetcher.filterValidSeasons(seasonsData);
-        this.logger?.info?.(`📺 Filtered to ${validSeasons.length} official seasons`);
+        const { validSeasons, episodes, episodeOrder } = await this.getOrderedEpisodes(numericId, seasonsData, preferences.episodeOrder);
+        this.logger?.info?.(`📺 Filtered to ${validSeasons.length} seasons`);
 
         if (validSeasons.length === 0) {
             meta.behaviorHints = { defaultVideoId: null, hasScheduledVideos: false };
             return;
         }
-        const episodes = await this.contentFetcher.getSeriesEpisodes(numericId);
         if (episodes.length === 0) {
             meta.behaviorHints = { defaultVideoId: null, hasScheduledVideos: false };
             return;
         }
         this.logger?.info?.(`📺 Got ${episodes.length} episodes from API`);
 
-        const translations = await this.translationService.getBulkEpisodeTranslations(numericId, tvdbLanguage);
-        const { primaryLookup, fallbackLookup } = this.translationService.createTranslationLookups(
-            translations.primary, translations.fallback
+        const airedEpisodes = this.arrangeSpecials(
+            this.contentFetcher.filterAiredEpisodes(episodes, item), preferences.specials, episodeOrder
         );
+        this.logger?.info?.(`📺 Filtered to ${airedEpisodes.length} episodes (aired + upcoming + announced)`);
 
-        const airedEpisodes = this.contentFetcher.filterAiredEpisodes(episodes);
-        this.logger?.info?.(`📺 Filtered to ${airedEpisodes.length} episodes (aired + upcoming)`);
-
-        const episodesBySeason = this.contentFetcher.groupEpisodesBySeason(airedEpisodes);
-        const seasonsWithContent = validSeasons.filter(season => 
-            episodesBySeason[season.number] && episodesBySeason[season.number].length > 0
-        );
+        const shownSeasons = new Set(airedEpisodes.map(episode => this.getShownSeason(episode)));
+        const seasonsWithContent = validSeasons.filter(season => shownSeasons.has(season.number));
         meta.seasons = seasonsWithContent.length;
         this.logger?.info?.(`📺 Final seasons with content: ${meta.seasons}`);
 
+        if (preferences.lazyEpisodes) {
+            // Untranslated stubs, the episodes route serves each season's translated videos
+            meta.videos = this.buildVideos(airedEpisodes, numericId, externalIds.imdb_id, meta, null, item);
+            this.logger?.info?.(`📺 Created ${meta.videos.length} video stubs (episodes loaded per season)`);
+        } else {
+            const lookups = await this.getEpisodeTranslationLookups(numericId, tvdbLanguage);
+            meta.videos = this.buildVideos(airedEpisodes, numericId, externalIds.imdb_id, meta, lookups, item);
+            this.logger?.info?.(`📺 Created ${meta.videos.length} video entries`);
+        }
+
+        // Upcoming episodes, or announced ones (TBA, without release date)
+        const now = Date.now();
+        meta.behaviorHints = {
+            defaultVideoId: null,
+            hasScheduledVideos: meta.videos.some(video => !video.released || Date.parse(video.released) > now)
+        };
+    }
+
+    /**
+     * Build the fully translated videos of one season, for the per-season episodes route
+     * @param {string|number} numericId - TVDB series id
+     * @param {string|null} imdbId - Series IMDb id, used in video ids like the meta response
+     * @param {number} seasonNumber - Season number in the chosen episode order
+     * @param {Array} seasonsData - Seasons of every type from the extended series record
+     * @param {string} tvdbLanguage - TVDB language code
+     * @param {Object} preferences - Decoded user preferences
+     * @returns {Array} Stremio videos of the season
+     */
+    async getSeasonVideos(numericId, imdbId, seasonNumber, seasonsData, tvdbLanguage = 'eng', preferences = {}) {
+        const [{ episodes, episodeOrder }, series] = await Promise.all([
+            this.getOrderedEpisodes(numericId, seasonsData, preferences.episodeOrder),
+            this.contentFetcher.getContentDetails('series', numericId).catch(() => null)
+        ]);
+        const seasonEpisodes = this.arrangeSpecials(
+            this.contentFetcher.filterAiredEpisodes(episodes, series), preferences.specials, episodeOrder
+        ).filter(episode => this.getShownSeason(episode) === seasonNumber);
+
+        if (seasonEpisodes.length === 0) {
+            return [];
+        }
+
+        const lookups = await this.getEpisodeTranslationLookups(numericId, tvdbLanguage);
+        return this.buildVideos(seasonEpisodes, numericId, imdbId, {}, lookups, series);
+    }
+
+    async getEpisodeTranslationLookups(numericId, tvdbLanguage) {
+        const translations = await this.translationService.getBulkEpisodeTranslations(numericId, tvdbLanguage);
+        return this.translationService.createTranslationLookups(translations.primary, translations.fallback);
+    }
+
+    /**
+     * Apply the specials preference to a series' episodes
+     * 'hide' drops season 0; 'interleave' moves specials with airsBefore/airsAfter placement into the regular season
+     * they aired in, between the episodes they aired between. Seasons that receive specials are renumbered
+     * consecutively as `shownSeason`/`shownEpisode`. Placement refers to aired order, so other orders keep
+     * specials in season 0
+     * @param {Array} episodes - TVDB episodes
+     * @param {string} specials - 'season', 'interleave' or 'hide'
+     * @param {string} episodeOrder - Order the episodes are numbered in
+     * @returns {Array} Episodes in broadcast order, specials keep their season 0 numbers
+     */
+    arrangeSpecials(episodes, specials = 'season', episodeOrder = 'default') {
+        if (specials === 'hide') {
+            return episodes.filter(episode => episode.seasonNumber !== 0);
+        }
+        if (specials !== 'interleave' || (episodeOrder && episodeOrder !== 'default')) {
+            return episodes;
+        }
+
+        const lastEpisodes = {};
+        episodes.filter(episode => episode.seasonNumber > 0).forEach(episode => {
+            lastEpisodes[episode.seasonNumber] = Math.max(lastEpisodes[episode.seasonNumber] || 0, episode.number);
+        });
+
+        const arranged = episodes.map(episode => {
+            if (episode.seasonNumber !== 0) {
+                return episode;
+            }
+
+            // Half steps only order the special between its neighbours, shown numbers are assigned below
+            if (episode.airsBeforeSeason && lastEpisodes[episode.airsBeforeSeason]) {
+                const beforeEpisode = episode.airsBeforeEpisode || 1;
+                return { ...episode, shownSeason: episode.airsBeforeSeason, position: beforeEpisode - 0.5 };
+            }
+            if (episode.airsAfterSeason && lastEpisodes[episode.airsAfterSeason]) {
+                return { ...episode, shownSeason: episode.airsAfterSeason, position: lastEpisodes[episode.airsAfterSeason] + 0.5 };
+            }
+            return episode;
+        });
+
+        const interleavedSeasons = new Set(arranged.filter(episode => episode.shownSeason).map(episode => episode.shownSeason));
+        this.logger?.debug?.(`📺 Interleaved specials into ${interleavedSeasons.size} seasons`);
+
+        // Regular seasons in order, specials without placement stay last in season 0
+        const seasonRank = episode => this.getShownSeason(episode) || Infinity;
+        arranged.sort((a, b) =>
+            seasonRank(a) - seasonRank(b) ||
+            (a.position ?? a.number) - (b.position ?? b.number) ||
+            a.number - b.number
+        );
+
+        // Stremio expects whole episode numbers, so seasons with specials count their videos again from 1
+        const counters = {};
+        return arranged.map(episode => {
+            const season = this.getShownSeason(episode);
+            if (!interleavedSeasons.has(season)) {
+                return episode;
+            }
+            counters[season] = (counters[season] || 0) + 1;
+            const { position, ...rest } = episode;
+            return { ...rest, shownSeason: season, shownEpisode: counters[season] };
+        });
+    }
+
+    getShownSeason(episode) {
+        return episode.shownSeason ?? episode.seasonNumber;
+    }
+
+    /**
+     * Build Stremio videos, one per season and episode number
+     * Ids always use the TVDB season and episode numbers, interleaved specials are shown at their broadcast position
+     * Ids start with the meta's id: the IMDb id when there is one, `tvdb-<id>` otherwise
+     * Without translation lookups only the TVDB episode name is used and the overview is left out
+     * @param {Object} meta - Meta whose artwork is the thumbnail fallback
+     * @param {Object} lookups - { primaryLookup, fallbackLookup } from createTranslationLookups, optional
+     * @param {Object} series - Detailed series record, its air time and network timezone time the releases
+     * @returns {Array} Stremio videos
+     */
+    buildVideos(episodes, numericId, imdbId, meta, lookups = null, series = null) {
         const videoMap = new Map();
-        for (const episode of airedEpisodes) {
-            const videoId = externalIds.imdb_id ? 
-                `${externalIds.imdb_id}:${episode.seasonNumber}:${episode.number}` :
-                `${numericId}:${episode.seasonNumber}:${episode.number}`;
+        for (const episode of episodes) {
+            const videoId = imdbId ? 
+                `${imdbId}:${episode.seasonNumber}:${episode.number}` :
+                `tvdb-${numericId}:${episode.seasonNumber}:${episode.number}`;
             
             if (!videoMap.has(videoId)) {
-                const { episodeName, episodeOverview } = this.translationService.getEpisodeTranslation(
-                    episode, primaryLookup, fallbackLookup
-                );
-
                 const video = {
                     id: videoId,
-                    title: episodeName,
-                    season: episode.seasonNumber,
-                    episode: episode.number,
-                    overview: episodeOverview,
+                    title: episode.name || `Episode ${episode.number}`,
+                    season: this.getShownSeason(episode),
+                    episode: episode.shownEpisode ?? episode.number,
                     thumbnail: this.getEpisodeThumbnail(episode, meta),
-                    released: episode.aired ? new Date(episode.aired).toISOString() : null
+                    released: this.getEpisodeReleased(episode, series)
                 };
+
+                if (lookups) {
+                    const { episodeName, episodeOverview } = this.translationService.getEpisodeTranslation(
+                        episode, lookups.primaryLookup, lookups.fallbackLookup
+                    );
+                    video.title = episodeName;
+                    video.overview = episodeOverview;
+                }
+
+                // Announced episodes have no air date yet
+                if (!video.released && !/\bTBA\b/i.test(video.title)) {
+                    video.title = `${video.title} (TBA)`;
+                }
                 
                 videoMap.set(videoId, video);
             }
         }
 
-        meta.videos = Array.from(videoMap.values());
-        this.logger?.info?.(`📺 Created ${meta.videos.length} video entries`);
+        return Array.from(videoMap.values());
+    }
 
-        meta.behaviorHints = {
-            defaultVideoId: null,
-            hasScheduledVideos: true
-        };
+    /**
+     * Get the seasons and episodes of the requested episode order,
+     * falling back to aired order when the series has no seasons or episodes in it
+     * @param {string} episodeOrder - 'default', 'absolute' or 'dvd'
+     * @returns {Object} { validSeasons, episodes, episodeOrder } - episodeOrder is the order actually used
+     */
+    async getOrderedEpisodes(numericId, seasonsData, episodeOrder = 'default') {
+        if (episodeOrder && episodeOrder !== 'default') {
+            const validSeasons = this.contentFetcher.filterValidSeasons(seasonsData, episodeOrder);
+            if (validSeasons.length > 0) {
+                const episodes = await this.contentFetcher.getSeriesEpisodes(numericId, episodeOrder);
+                if (episodes.length > 0) {
+                    this.logger?.info?.(`📺 Using ${episodeOrder} episode order`);
+                    return { validSeasons, episodes, episodeOrder };
+                }
+            }
+            this.logger?.info?.(`📺 No ${episodeOrder} episode order for series ${numericId}, using aired order`);
+        }
+
+        const validSeasons = this.contentFetcher.filterValidSeasons(seasonsData);
+        const episodes = validSeasons.length > 0 ? await this.contentFetcher.getSeriesEpisodes(numericId) : [];
+        return { validSeasons, episodes, episodeOrder: 'default' };
     }
 
-    addMovieContent(meta, imdbId) {
+    async addMovieContent(meta, item, imdbId) {
         this.logger?.info?.(`🎬 Movie processing complete: ${meta.name} (${meta.id})`);
         
         if (meta.videos) {
@@ -425,6 +716,62 @@ class MetadataTransformer {
             defaultVideoId: imdbId || meta.id,
             hasScheduledVideos: false
         };
+
+        await this.addCollectionLinks(meta, item);
+    }
+
+    /**
+     * Link the other movies of the movie's collection (an official TVDB list), in release order
+     * The whole collection is also served as the `tvdb-collection-<list id>` catalog, `meta.collection`
+     * lets the meta route link that catalog when the install has it
+     */
+    async addCollectionLinks(meta, item) {
+        const collection = (item.lists || []).find(list => list?.isOfficial && list.id);
+        if (!collection) {
+            return;
+        }
+
+        try {
+            const list = await this.contentFetcher.getListExtended(collection.id);
+            meta.collection = { id: String(collection.id), name: list?.name || collection.name || 'Collection' };
+
+            const movieIds = (list?.entities || [])
+                .filter(entity => entity.movieId && String(entity.movieId) !== String(meta.tvdb_id))
+                .map(entity => entity.movieId)
+                .slice(0, this.maxCollectionLinks);
+
+            if (movieIds.length === 0) {
+                return;
+            }
+
+            const movies = (await Promise.all(movieIds.map(movieId =>
+                this.contentFetcher.getContentDetails('movie', movieId).catch(() => null)
+            ))).filter(movie => movie?.name);
+
+            const releaseOf = movie => movie.first_release?.date || (movie.year ? `${movie.year}` : '9999');
+            const category = list.name || collection.name || 'Collection';
+
+            meta.links = [
+                ...(meta.links || []),
+                ...movies
+                    .sort((a, b) => releaseOf(a).localeCompare(releaseOf(b)))
+                    .map(movie => {
+                        const movieMetaId = this.contentFetcher.extractExternalIds(movie).imdb_id || `tvdb-${movie.id}`;
+                        return {
+                            name: movie.year ? `${movie.name} (${movie.year})` : movie.name,
+                            category,
+                            url: `stremio:///detail/movie/${movieMetaId}`
+                        };
+                    })
+            ];
+        } catch (error) {
+            this.logger?.debug?.(`Collection links failed for movie ${meta.tvdb_id}: ${error.message}`);
+        }
+    }
+
+    getEpisodeReleased(episode, series) {
+        const airTime = episode.aired ? getEpisodeAirTime(episode.aired, series) : null;
+        return airTime !== null ? new Date(airTime).toISOString() : null;
     }
 
     getEpisodeThumbnail(episode, meta) {
@@ -0,0 +1,158 @@
+/**
+ * TVDB People Search
+ * Resolves person queries (actor, director, writer names) to the movies and series they are credited in
+ */
+
+const { normalizeSearchText } = require('../../utils/searchQuery');
+
+const PERSON_PREFIX = /^person:\s*/i;
+
+class PeopleSearch {
+    constructor(apiClient, cacheService, logger) {
+        this.apiClient = apiClient;
+        this.cacheService = cacheService;
+        this.logger = logger;
+
+        // Candidates compared against the query before falling back to TVDB's best match
+        this.candidateLimit = 5;
+    }
+
+    /**
+     * Split an explicit `person:` query from a regular one
+     * @param {string} query - Search query
+     * @returns {Object} { name, explicit }
+     */
+    parseQuery(query) {
+        const trimmed = query.trim();
+        if (PERSON_PREFIX.test(trimmed)) {
+            return { name: trimmed.replace(PERSON_PREFIX, '').trim(), explicit: true };
+        }
+        return { name: trimmed, explicit: false };
+    }
+
+    /**
+     * Whether a query without prefix may be a person's name: two to four words of letters,
+     * and no title result containing the query
+     * @param {string} query - Search query
+     * @param {Array} titleResults - Results of the title search
+     */
+    looksLikePerson(query, titleResults) {
+        const words = query.trim().split(/\s+/);
+        if (words.length < 2 || words.length > 4 || !words.every(word => /^[\p{L}.'-]+$/u.test(word))) {
+            return false;
+        }
+
+        const normalizedQuery = this.normalize(query);
+        return !titleResults.some(result => this.normalize(result.name).includes(normalizedQuery));
+    }
+
+    /**
+     * Find a person and list their titles in TVDB search-result shape
+     * @param {string} name - Person name
+     * @param {string|null} type - 'movie', 'series' or null for both
+     * @param {boolean} exactOnly - Only accept a person whose name matches exactly (used for detected queries)
+     * @returns {Array} Credited titles, featured and most important credits first
+     */
+    async searchByPerson(name, type = null, exactOnly = false) {
+        if (!name) {
+            return [];
+        }
+
+        try {
+            const person = await this.findPerson(name, exactOnly);
+            if (!person) {
+                return [];
+            }
+
+            this.logger?.debug?.(`🎭 Person search "${name}" matched ${person.name} (${person.id})`);
+            const credits = await this.getPersonCredits(person.id);
+            return credits.filter(item => !type || item.type === type);
+        } catch (error) {
+            this.logger?.error?.(`Person search error for "${name}":`, error.message);
+            return [];
+        }
+    }
+
+    async findPerson(name, exactOnly) {
+        const response = await this.apiClient.makeRequest('/search', {
+            query: name,
+            type: 'people',
+            limit: this.candidateLimit
+        });
+        const candidates = (Array.isArray(response?.data) ? response.data : [])
+            .map(result => ({
+                id: result.tvdb_id || this.extractNumericId(result.id),
+                name: result.name
+            }))
+            .filter(candidate => candidate.id && candidate.name);
+
+        const normalizedName = this.normalize(name);
+        const exactMatch = candidates.find(candidate => this.normalize(candidate.name) === normalizedName);
+        return exactMatch || (exactOnly ? null : candidates[0] || null);
+    }
+
+    /**
+     * Movies and series a person is credited in, cached with the content metadata
+     */
+    async getPersonCredits(personId) {
+        const cached = await this.cacheService.getMetadata('person', personId);
+        if (cached) {
+            return cached.credits || [];
+        }
+
+        const response = await this.apiClient.makeRequest(`/people/${personId}/extended`);
+        const characters = (response?.data?.characters || [])
+            .slice()
+            .sort((a, b) => {
+                const aFeatured = a.isFeatured ? 0 : 1;
+                const bFeatured = b.isFeatured ? 0 : 1;
+                if (aFeatured !== bFeatured) return aFeatured - bFeatured;
+                return (a.sort ?? 999) - (b.sort ?? 999);
+            });
+
+        const credits = new Map();
+        characters.forEach(character => {
+            const item = character.movieId
+                ? this.normalizeCredit(character.movieId, 'movie', character.movie)
+                : character.seriesId
+                    ? this.normalizeCredit(character.seriesId, 'series', character.series)
+                    : null;
+            const key = item && `${item.type}-${item.id}`;
+            if (item && !credits.has(key)) {
+                credits.set(key, item);
+            }
+        });
+
+        const result = Array.from(credits.values());
+        await this.cacheService.setMetadata('person', personId, null, { credits: result });
+        return result;
+    }
+
+    /**
+     * Reduce a credit's title record to the fields CatalogTransformer reads from search results
+     */
+    normalizeCredit(id, type, record) {
+        if (!record?.name) {
+            return null;
+        }
+
+        return {
+            id,
+            type,
+            name: record.name,
+            image: record.image,
+            year: record.year
+        };
+    }
+
+    normalize(text) {
+        return normalizeSearchText(text);
+    }
+
+    extractNumericId(id) {
+        const match = String(id || '').match(/(\d+)$/);
+        return match ? match[1] : null;
+    }
+}
+
+module.exports = PeopleSearch;
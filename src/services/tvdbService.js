@@ -5,10 +5,13 @@ const ArtworkHandler = require('./tvdb/artworkHandler');
 const CatalogTransformer = require('./tvdb/catalogTransformer');
 const MetadataTransformer = require('./tvdb/metadataTransformer');
 const UpdatesService = require('./tvdb/updatesService');
+const PeopleSearch = require('./tvdb/peopleSearch');
+const userConfig = require('../config/userConfig');
 const { getEnhancedReleaseInfo } = require('../utils/theatricalStatus');
+const { getSearchAttempts, rankSearchResults } = require('../utils/searchQuery');
 
 class TVDBService {
-    constructor(cacheService, ratingService = null, logger = null) {
+    constructor(cacheService, ratingService = null, logger = null, { tmdbService = null } = {}) {
         this.baseURL = 'https://api4.thetvdb.com/v4';
         this.cacheService = cacheService;
         this.ratingService = ratingService;
@@ -29,7 +32,7 @@ class TVDBService {
 
         this.contentFetcher = new ContentFetcher(this, this.cacheService);
         this.translationService = new TranslationService(this, this.cacheService, this.logger);
-        this.artworkHandler = new ArtworkHandler(this, this.cacheService);
+        this.artworkHandler = new ArtworkHandler(this, this.cacheService, this.logger, tmdbService);
         this.catalogTransformer = new CatalogTransformer(this.contentFetcher, this.translationService, this.artworkHandler, this.cacheService);
         this.metadataTransformer = new MetadataTransformer(
             this.contentFetcher, 
@@ -37,6 +40,7 @@ class TVDBService {
             this.artworkHandler
         );
         
+        this.peopleSearch = new PeopleSearch(this, this.cacheService, this.logger);
         this.updatesService = new UpdatesService(this, this.cacheService, this.logger);
     }
 
@@ -118,44 +122,141 @@ class TVDBService {
     }
 
     async search(query, type = null, limit = 20, userLanguage = 'eng') {
-        const cacheKey = `search:${type || 'all'}:${userLanguage}:${query.toLowerCase().trim()}`;
-        
-        let cachedResults;
-        if (this.cacheService.getCachedData) {
-            cachedResults = await this.cacheService.getCachedData('search', cacheKey);
-        } else {
-            cachedResults = this.cacheService.getSearchResults(query, type || 'all', userLanguage);
+        const { results } = await this.searchPage(query, type, limit, userLanguage, 1);
+        return results;
+    }
+
+    /**
+     * One page of search results, `limit` results per page, cached per page
+     * A query detected as a person's name pages through the person's credits first, then the title results
+     * (first page: { personCredits, hasTitles } record how many pages the credits take)
+     * @param {number} page - 1-based page, mapped to TVDB's offset
+     * @returns {Object} { results, hasMore }
+     */
+    async searchPage(query, type = null, limit = 20, userLanguage = 'eng', page = 1) {
+        const offset = (page - 1) * limit;
+
+        // "person:Name" lists the titles a person is credited in
+        const personQuery = this.peopleSearch.parseQuery(query);
+        if (personQuery.explicit) {
+            const credits = await this.peopleSearch.searchByPerson(personQuery.name, type);
+            return { results: credits.slice(offset, offset + limit), hasMore: credits.length > offset + limit };
         }
-        
-        if (cachedResults) {
-            return cachedResults;
+
+        const searchType = type || 'all';
+        const cachedPage = await this.cacheService.getSearchResults(query, searchType, userLanguage, page, limit);
+        if (cachedPage) {
+            return cachedPage;
         }
 
-        const params = {
-            query: query.trim(),
-            limit
+        try {
+            const searchPage = page === 1
+                ? await this.searchFirstPage(query, type, limit, userLanguage)
+                : await this.searchLaterPage(query, type, limit, userLanguage, page);
+            await this.cacheService.setSearchResults(query, searchType, userLanguage, searchPage, page, limit);
+            return searchPage;
+        } catch (error) {
+            this.logger.error('Search error:', error.message);
+            return { results: [], hasMore: false };
+        }
+    }
+
+    /**
+     * First search page: a name without matching titles is tried as a person, their credits come first
+     */
+    async searchFirstPage(query, type, limit, userLanguage) {
+        const titlePage = await this.searchTitles(query, type, limit, userLanguage, 1);
+        const credits = this.peopleSearch.looksLikePerson(query, titlePage.results)
+            ? await this.peopleSearch.searchByPerson(query, type, true)
+            : [];
+
+        if (credits.length === 0) {
+            return titlePage;
+        }
+
+        return {
+            results: credits.slice(0, limit),
+            hasMore: credits.length > limit || titlePage.results.length > 0,
+            attempt: titlePage.attempt,
+            personCredits: credits.length,
+            hasTitles: titlePage.results.length > 0
         };
+    }
 
-        if (type && (type === 'movie' || type === 'series')) {
-            params.type = type;
+    /**
+     * Later search pages: the remaining credit pages of a detected person, then the title pages
+     * without the titles already listed as credits
+     */
+    async searchLaterPage(query, type, limit, userLanguage, page) {
+        const firstPage = await this.searchPage(query, type, limit, userLanguage, 1);
+        const creditPages = Math.ceil((firstPage.personCredits || 0) / limit);
+        if (creditPages === 0) {
+            return this.searchTitles(query, type, limit, userLanguage, page);
         }
 
-        try {
+        const credits = await this.peopleSearch.searchByPerson(query, type, true);
+        if (page <= creditPages) {
+            const offset = (page - 1) * limit;
+            return {
+                results: credits.slice(offset, offset + limit),
+                hasMore: page < creditPages || firstPage.hasTitles,
+                attempt: firstPage.attempt
+            };
+        }
+
+        const titlePage = await this.searchTitles(query, type, limit, userLanguage, page - creditPages);
+        const creditKeys = new Set(credits.map(item => `${item.type}-${item.id}`));
+        return {
+            ...titlePage,
+            results: titlePage.results.filter(result =>
+                !creditKeys.has(`${result.type}-${String(result.tvdb_id || result.id).replace(/^\D+/, '')}`)
+            )
+        };
+    }
+
+    /**
+     * Title search: a trailing year becomes TVDB's `year` param, queries without hits are retried
+     * with normalized text, and results are ranked by title match, year proximity and TVDB score
+     * Later pages reuse the query variant that matched the first page
+     * @returns {Object} { results, hasMore, attempt }
+     */
+    async searchTitles(query, type, limit, userLanguage, page = 1) {
+        let attempts = getSearchAttempts(query);
+        if (page > 1) {
+            const firstPage = await this.searchPage(query, type, limit, userLanguage, 1);
+            if (!firstPage.attempt) {
+                return { results: [], hasMore: false, attempt: null };
+            }
+            attempts = [firstPage.attempt];
+        }
+
+        for (const attempt of attempts) {
+            const params = {
+                query: attempt.text,
+                limit,
+                offset: (page - 1) * limit
+            };
+
+            if (attempt.year) {
+                params.year = attempt.year;
+            }
+            if (type && (type === 'movie' || type === 'series')) {
+                params.type = type;
+            }
+
             const response = await this.makeRequest('/search', params);
             const results = response.data || [];
-            
-            if (this.cacheService.setCachedData) {
-                const cacheTTL = 2 * 60 * 60 * 1000; // 2 hours
-                await this.cacheService.setCachedData('search', cacheKey, results, cacheTTL);
-            } else {
-                this.cacheService.setSearchResults(query, type || 'all', userLanguage, results);
+            if (results.length > 0 || page > 1) {
+                this.logger.debug?.(`🔍 Search "${query}" page ${page} matched ${results.length} results as "${attempt.text}"${attempt.year ? ` (${attempt.year})` : ''}`);
+                return {
+                    results: rankSearchResults(results, attempt),
+                    hasMore: response.links ? Boolean(response.links.next) : results.length >= limit,
+                    attempt
+                };
             }
-            
-            return results;
-        } catch (error) {
-            this.logger.error('Search error:', error.message);
-            return [];
         }
+
+        return { results: [], hasMore: false, attempt: null };
     }
 
     async searchBoth(query, limit = 20, userLanguage = 'eng') {
@@ -188,6 +289,10 @@ class TVDBService {
         return this.cacheService.getStats();
     }
 
+    async getContentDetails(contentType, contentId) {
+        return this.contentFetcher.getContentDetails(contentType, contentId);
+    }
+
     async getMovieDetails(movieId) {
         return this.contentFetcher.getMovieDetails(movieId);
     }
@@ -204,14 +309,30 @@ class TVDBService {
         return this.contentFetcher.getSeriesEpisodes(seriesId, seasonType);
     }
 
+    async getSeasonVideos(seriesId, imdbId, seasonNumber, seasonsData, tvdbLanguage = 'eng', preferences = {}) {
+        return this.metadataTransformer.getSeasonVideos(seriesId, imdbId, seasonNumber, seasonsData, tvdbLanguage, preferences);
+    }
+
     async getSeriesExtended(seriesId) {
         return this.contentFetcher.getSeriesExtended(seriesId);
     }
 
+    async getListExtended(listId) {
+        return this.contentFetcher.getListExtended(listId);
+    }
+
     extractImdbId(item) {
         return this.contentFetcher.extractImdbId(item);
     }
 
+    extractTmdbId(item) {
+        return this.contentFetcher.extractTmdbId(item);
+    }
+
+    filterAiredEpisodes(episodes) {
+        return this.contentFetcher.filterAiredEpisodes(episodes);
+    }
+
     async getArtwork(entityType, entityId, language = 'eng') {
         return this.artworkHandler.getArtwork(entityType, entityId, language);
     }
@@ -228,8 +349,8 @@ class TVDBService {
         return this.translationService.selectPreferredTranslation(translationsObj, userLanguage);
     }
 
-    async transformSearchResults(results, type, userLanguage = null) {
-        const catalogResults = await this.catalogTransformer.transformSearchResults(results, type, userLanguage);
+    async transformSearchResults(results, type, userLanguage = null, preferences = {}) {
+        const catalogResults = await this.catalogTransformer.transformSearchResults(results, type, userLanguage, preferences);
         
         return catalogResults;
     }
@@ -242,10 +363,11 @@ class TVDBService {
         return this.catalogTransformer.transformSearchItemToStremioMeta(item, userLanguage);
     }
 
-    async transformDetailedToStremioMeta(item, type, seasonsData = null, tvdbLanguage = 'eng') {
+    async transformDetailedToStremioMeta(item, type, seasonsData = null, tvdbLanguage = 'eng', preferences = {}) {
         
         const itemId = item.id || item.tvdb_id;
-        const cacheKey = `meta:enhanced:${itemId}:${type}:${tvdbLanguage}`;
+        const variant = userConfig.getMetaVariant(preferences);
+        const cacheKey = `meta:enhanced:${itemId}:${type}:${tvdbLanguage}${variant ? `:${variant}` : ''}`;
         
         try {
             const cachedMeta = await this.cacheService.getCachedData('metadata', cacheKey);
@@ -257,7 +379,7 @@ class TVDBService {
             this.logger.error(`Cache error for enhanced metadata: ${error.message}`);
         }
         
-        const meta = await this.metadataTransformer.transformDetailedToStremioMeta(item, type, seasonsData, tvdbLanguage);
+        const meta = await this.metadataTransformer.transformDetailedToStremioMeta(item, type, seasonsData, tvdbLanguage, preferences);
         
         if (!meta) {
             return null;
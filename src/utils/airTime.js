@@ -0,0 +1,89 @@
+/**
+ * Air Time Utility
+ *
+ * TVDB episode air dates are bare dates in the original network's local time, with the series' usual
+ * air time (`airsTime`, HH:MM) on the series record. This combines both in the network country's timezone
+ */
+
+// Timezone of each country's main broadcasters, TVDB 3-letter country codes
+const COUNTRY_TIMEZONES = {
+    usa: 'America/New_York', can: 'America/Toronto', mex: 'America/Mexico_City', bra: 'America/Sao_Paulo',
+    arg: 'America/Argentina/Buenos_Aires', chl: 'America/Santiago', col: 'America/Bogota', per: 'America/Lima',
+    gbr: 'Europe/London', irl: 'Europe/Dublin', fra: 'Europe/Paris', deu: 'Europe/Berlin', aut: 'Europe/Vienna',
+    che: 'Europe/Zurich', ita: 'Europe/Rome', esp: 'Europe/Madrid', prt: 'Europe/Lisbon', nld: 'Europe/Amsterdam',
+    bel: 'Europe/Brussels', dnk: 'Europe/Copenhagen', swe: 'Europe/Stockholm', nor: 'Europe/Oslo',
+    fin: 'Europe/Helsinki', isl: 'Atlantic/Reykjavik', pol: 'Europe/Warsaw', cze: 'Europe/Prague',
+    hun: 'Europe/Budapest', rou: 'Europe/Bucharest', grc: 'Europe/Athens', tur: 'Europe/Istanbul',
+    ukr: 'Europe/Kyiv', rus: 'Europe/Moscow', isr: 'Asia/Jerusalem', egy: 'Africa/Cairo',
+    zaf: 'Africa/Johannesburg', nga: 'Africa/Lagos', ind: 'Asia/Kolkata', chn: 'Asia/Shanghai',
+    hkg: 'Asia/Hong_Kong', twn: 'Asia/Taipei', jpn: 'Asia/Tokyo', kor: 'Asia/Seoul', tha: 'Asia/Bangkok',
+    phl: 'Asia/Manila', idn: 'Asia/Jakarta', mys: 'Asia/Kuala_Lumpur', sgp: 'Asia/Singapore',
+    aus: 'Australia/Sydney', nzl: 'Pacific/Auckland'
+};
+
+/**
+ * Timezone the series airs in: its original network's country, then its latest network's, then its own country
+ * @param {Object} series - Detailed TVDB series record
+ * @returns {string} IANA timezone, 'UTC' when the country is unknown
+ */
+function getSeriesTimezone(series) {
+    const countries = [series?.originalNetwork?.country, series?.latestNetwork?.country, series?.originalCountry];
+    const country = countries.find(code => code && COUNTRY_TIMEZONES[code.toLowerCase()]);
+    return country ? COUNTRY_TIMEZONES[country.toLowerCase()] : 'UTC';
+}
+
+/**
+ * Offset of a timezone from UTC at an instant
+ * @returns {number} Offset in ms (positive east of UTC)
+ */
+function getTimezoneOffset(timestamp, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric',
+        hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(new Date(timestamp)).forEach(part => {
+        parts[part.type] = parseInt(part.value, 10);
+    });
+
+    const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return local - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Air instant of an episode: its date at the series' air time, in the network's timezone
+ * Without `airsTime` the episode airs at local midnight
+ * @param {string} aired - Episode air date (YYYY-MM-DD)
+ * @param {Object} series - Detailed TVDB series record (`airsTime`, networks, `originalCountry`)
+ * @returns {number|null} Timestamp in ms, or null for an invalid date
+ */
+function getEpisodeAirTime(aired, series) {
+    const date = String(aired || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (!date) {
+        return null;
+    }
+
+    const time = String(series?.airsTime || '').match(/^(\d{1,2}):(\d{2})/);
+    const wallClock = Date.UTC(
+        parseInt(date[1], 10), parseInt(date[2], 10) - 1, parseInt(date[3], 10),
+        time ? parseInt(time[1], 10) : 0, time ? parseInt(time[2], 10) : 0
+    );
+    if (isNaN(wallClock)) {
+        return null;
+    }
+
+    const timeZone = getSeriesTimezone(series);
+    if (timeZone === 'UTC') {
+        return wallClock;
+    }
+
+    // Second pass settles air times close to a daylight saving change
+    const firstGuess = wallClock - getTimezoneOffset(wallClock, timeZone);
+    return wallClock - getTimezoneOffset(firstGuess, timeZone);
+}
+
+module.exports = {
+    getSeriesTimezone,
+    getEpisodeAirTime
+};
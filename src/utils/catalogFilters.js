@@ -0,0 +1,169 @@
+/**
+ * Catalog Filters Utility
+ *
+ * Genre, year/decade and status filters advertised as Stremio catalog `extra`
+ * and parsed back from catalog requests
+ */
+
+// TVDB genre names, resolved to TVDB genre ids at request time
+const GENRES = [
+    'Action', 'Adventure', 'Animation', 'Anime', 'Children', 'Comedy', 'Crime',
+    'Documentary', 'Drama', 'Family', 'Fantasy', 'Food', 'Game Show', 'History',
+    'Home and Garden', 'Horror', 'Indie', 'Martial Arts', 'Mini-Series', 'Musical',
+    'Mystery', 'News', 'Reality', 'Romance', 'Science Fiction', 'Soap', 'Sport',
+    'Suspense', 'Talk Show', 'Thriller', 'Travel', 'War', 'Western'
+];
+
+// TVDB series status ids
+const SERIES_STATUSES = {
+    'Continuing': 1,
+    'Ended': 2,
+    'Upcoming': 3
+};
+
+const RECENT_YEARS = 5;
+const OLDEST_DECADE = 1950;
+
+/**
+ * Year options: the most recent years, then decades ("2010s")
+ * @returns {Array<string>}
+ */
+function getYearOptions(now = new Date()) {
+    const currentYear = now.getFullYear();
+    const options = [];
+
+    for (let year = currentYear; year > currentYear - RECENT_YEARS; year--) {
+        options.push(String(year));
+    }
+    for (let decade = Math.floor(currentYear / 10) * 10; decade >= OLDEST_DECADE; decade -= 10) {
+        options.push(`${decade}s`);
+    }
+
+    return options;
+}
+
+/**
+ * Build the filter `extra` entries for a browse catalog
+ * @param {string} stremioType - 'movie' or 'series'
+ * @returns {Array} Stremio extra definitions
+ */
+function getFilterExtras(stremioType) {
+    const extras = [
+        { name: 'genre', isRequired: false, options: [...GENRES], optionsLimit: 1 },
+        { name: 'year', isRequired: false, options: getYearOptions(), optionsLimit: 1 }
+    ];
+
+    if (stremioType === 'series') {
+        extras.push({ name: 'status', isRequired: false, options: Object.keys(SERIES_STATUSES), optionsLimit: 1 });
+    }
+
+    return extras;
+}
+
+/**
+ * Parse and validate filters from catalog request extra params
+ * Unknown values are ignored rather than rejected
+ * @param {Object} extraParams - Parsed Stremio extra
+ * @param {string} stremioType - 'movie' or 'series'
+ * @returns {Object} { genre, year, status } - each null when not set
+ */
+function parseCatalogFilters(extraParams = {}, stremioType = 'series') {
+    const filters = { genre: null, year: null, status: null };
+
+    const genre = GENRES.find(name => name.toLowerCase() === String(extraParams.genre || '').toLowerCase());
+    if (genre) {
+        filters.genre = genre;
+    }
+
+    const yearValue = String(extraParams.year || '').trim();
+    const decadeMatch = yearValue.match(/^(\d{4})s$/);
+    if (decadeMatch && parseInt(decadeMatch[1]) % 10 === 0) {
+        const from = parseInt(decadeMatch[1]);
+        filters.year = { value: yearValue, from, to: from + 9 };
+    } else if (/^\d{4}$/.test(yearValue)) {
+        const year = parseInt(yearValue);
+        filters.year = { value: yearValue, from: year, to: year };
+    }
+
+    if (stremioType === 'series') {
+        const status = Object.keys(SERIES_STATUSES)
+            .find(name => name.toLowerCase() === String(extraParams.status || '').toLowerCase());
+        if (status) {
+            filters.status = status;
+        }
+    }
+
+    return filters;
+}
+
+function hasFilters(filters) {
+    return !!(filters && (filters.genre || filters.year || filters.status));
+}
+
+function matchesYear(year, yearFilter) {
+    if (!yearFilter) return true;
+    const numericYear = parseInt(year);
+    if (!numericYear) return false;
+    return numericYear >= yearFilter.from && numericYear <= yearFilter.to;
+}
+
+/**
+ * Check the filters that need full TVDB details (genre, status)
+ * @param {Object} details - TVDB extended record
+ * @param {Object} filters - Parsed filters
+ * @returns {boolean}
+ */
+function matchesDetails(details, filters) {
+    if (!details) return false;
+
+    if (filters.genre) {
+        const genres = (details.genres || []).map(genre => (genre.name || '').toLowerCase());
+        if (!genres.includes(filters.genre.toLowerCase())) return false;
+    }
+
+    if (filters.status) {
+        if ((details.status?.name || '').toLowerCase() !== filters.status.toLowerCase()) return false;
+    }
+
+    return true;
+}
+
+/**
+ * Build a predicate for filters that could not be applied upstream
+ * @param {Object} filters - Parsed filters still to apply
+ * @param {Function} getDetails - async (item) => TVDB extended record
+ * @returns {Function|null} async (item) => boolean, or null when nothing is left to filter
+ */
+function createPostFilter(filters, getDetails) {
+    if (!hasFilters(filters)) return null;
+
+    return async (item) => {
+        let details = null;
+
+        if (filters.year) {
+            let year = item.year;
+            if (!year) {
+                details = await getDetails(item);
+                year = details?.year || (details?.firstAired || '').substring(0, 4);
+            }
+            if (!matchesYear(year, filters.year)) return false;
+        }
+
+        if (!filters.genre && !filters.status) return true;
+
+        details = details || await getDetails(item);
+        return matchesDetails(details, filters);
+    };
+}
+
+module.exports = {
+    GENRES,
+    SERIES_STATUSES,
+    getYearOptions,
+    getFilterExtras,
+    parseCatalogFilters,
+    hasFilters,
+    matchesYear,
+    matchesDetails,
+    createPostFilter
+};
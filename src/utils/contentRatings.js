@@ -0,0 +1,99 @@
+/**
+ * Content Ratings Utility
+ *
+ * Resolves TVDB `contentRatings` (one certification per country) for the user's region,
+ * and compares certifications of different countries through their minimum age
+ */
+
+const { getCountryCodesForLanguage } = require('./languageMap');
+
+// Minimum viewer age of certifications whose name does not carry the age
+const CERTIFICATION_AGES = {
+    usa: {
+        'G': 0, 'TV-Y': 0, 'TV-G': 0, 'TV-Y7': 7, 'TV-Y7-FV': 7, 'PG': 10, 'TV-PG': 10,
+        'PG-13': 13, 'TV-14': 14, 'R': 17, 'NC-17': 18, 'TV-MA': 17
+    },
+    can: { 'G': 0, 'C': 0, 'C8': 8, 'PG': 10, '14A': 14, '14+': 14, '18A': 18, '18+': 18, 'R': 18 },
+    gbr: { 'U': 0, 'UC': 0, 'PG': 8, '12A': 12, '12': 12, '15': 15, '18': 18, 'R18': 18 },
+    aus: { 'G': 0, 'PG': 8, 'M': 15, 'MA15+': 15, 'MA 15+': 15, 'R18+': 18, 'R 18+': 18, 'X18+': 18 },
+    fra: { 'U': 0, 'TP': 0 },
+    esp: { 'A': 0, 'APTA': 0, 'TP': 0 },
+    bra: { 'L': 0, 'LIVRE': 0 },
+    nld: { 'AL': 0 },
+    jpn: { 'G': 0, 'PG12': 12, 'R15+': 15, 'R18+': 18 }
+};
+
+/**
+ * Minimum viewer age of a certification
+ * @param {string} certification - Certification name (e.g. 'TV-14', '12', 'FSK 16')
+ * @param {string} country - 3-letter country code of the certification
+ * @returns {number|null} Age, or null when unknown
+ */
+function getCertificationAge(certification, country) {
+    const name = String(certification || '').trim().toUpperCase();
+    if (!name) {
+        return null;
+    }
+
+    const known = CERTIFICATION_AGES[country]?.[name];
+    if (known !== undefined) {
+        return known;
+    }
+
+    // Most countries name certifications after the age: '12', 'FSK 16', '-12', '+13', '16+'
+    const age = name.match(/(\d{1,2})/);
+    return age ? parseInt(age[1], 10) : null;
+}
+
+/**
+ * Pick the certification shown to the user: their language's countries first, then the US, then any country
+ * @param {Object} item - Detailed TVDB record
+ * @param {string} userLanguage - TVDB language code
+ * @returns {Object|null} { name, country, age }
+ */
+function resolveCertification(item, userLanguage = 'eng') {
+    const ratings = (Array.isArray(item?.contentRatings) ? item.contentRatings : [])
+        .filter(rating => rating?.name && rating.country)
+        .map(rating => ({
+            name: rating.name,
+            country: rating.country.toLowerCase(),
+            age: getCertificationAge(rating.name, rating.country.toLowerCase())
+        }));
+
+    if (ratings.length === 0) {
+        return null;
+    }
+
+    const countries = [...getCountryCodesForLanguage(userLanguage), 'usa'];
+    for (const country of countries) {
+        const rating = ratings.find(entry => entry.country === country && entry.age !== null);
+        if (rating) {
+            return rating;
+        }
+    }
+
+    return ratings.find(entry => entry.age !== null) || null;
+}
+
+/**
+ * Check a title against the install's maximum certification
+ * Titles without any known certification are allowed
+ * @param {Object} item - Detailed TVDB record
+ * @param {number|string} maxAge - Maximum viewer age, or 'off'
+ * @param {string} userLanguage - TVDB language code
+ * @returns {boolean}
+ */
+function isCertificationAllowed(item, maxAge, userLanguage = 'eng') {
+    if (maxAge === 'off' || maxAge === undefined || maxAge === null) {
+        return true;
+    }
+
+    const certification = resolveCertification(item, userLanguage);
+    return !certification || certification.age <= maxAge;
+}
+
+module.exports = {
+    getCertificationAge,
+    resolveCertification,
+    isCertificationAllowed
+};
@@ -185,6 +185,29 @@ function validateImdbRequirement(item, itemType = 'content') {
     return true;
 }
 
+/**
+ * Check an item against an install's quality gate
+ * strict: IMDb id and poster (today's default), poster: poster only, off: every item
+ *
+ * @param {Object} item - Detailed TVDB item
+ * @param {string} qualityGate - 'strict', 'poster' or 'off'
+ * @param {string} itemType - Label for the log messages
+ * @returns {boolean} Whether the item is shown
+ */
+function passesQualityGate(item, qualityGate = 'strict', itemType = 'content') {
+    if (qualityGate === 'off') {
+        return !!item;
+    }
+    if (qualityGate === 'poster') {
+        if (!hasValidPoster(item)) {
+            logger.info(`🚫 Rejecting ${itemType} "${item?.name}" - No poster, poor visual presentation`);
+            return false;
+        }
+        return true;
+    }
+    return validateImdbRequirement(item, itemType);
+}
+
 module.exports = {
     hasValidImdbId,
     hasValidPoster,
@@ -192,5 +215,6 @@ module.exports = {
     extractImdbId,
     filterByImdbRequirement,
     filterDetailedByImdbRequirement,
-    validateImdbRequirement
+    validateImdbRequirement,
+    passesQualityGate
 };
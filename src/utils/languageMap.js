@@ -223,6 +223,17 @@ function getCountryCodesForLanguage(languageCode) {
     return LANGUAGE_TO_COUNTRY_MAP[languageCode?.toLowerCase()] || ['usa', 'gbr', 'fra', 'deu'];
 }
 
+/**
+ * Main language of a country, the reverse of LANGUAGE_TO_COUNTRY_MAP
+ * @param {string} countryCode - 3-letter country code (e.g., 'jpn')
+ * @returns {string|null} TVDB language code, or null when unknown
+ */
+function getLanguageForCountry(countryCode) {
+    const country = countryCode?.toLowerCase();
+    const entry = Object.entries(LANGUAGE_TO_COUNTRY_MAP).find(([, countries]) => countries.includes(country));
+    return entry ? entry[0] : null;
+}
+
 function isValidTvdbLanguage(tvdbLang) {
     return /^[a-z]{3}$/.test(tvdbLang) && TVDB_TO_DISPLAY_MAP[tvdbLang];
 }
@@ -294,6 +305,7 @@ module.exports = {
     mapToTvdbLanguage,
     getDisplayName,
     getCountryCodesForLanguage,
+    getLanguageForCountry,
     
     // Validation
     isValidTvdbLanguage,
@@ -3,7 +3,14 @@ const { buildCatalogUrl, buildMetaUrl } = require('./urlBuilder');
 const { isValidTvdbLanguage, getDisplayName, DEFAULT_LANGUAGE } = require('./languageMap');
 const catalogConfig = require('../config/catalogConfig');
 
-function getManifest(tvdbLanguage = DEFAULT_LANGUAGE, req) {
+/**
+ * Build the Stremio manifest for one install
+ * @param {Object} config - Decoded user configuration ({ language, catalogs, preferences })
+ * @param {Object} req - Express request object
+ * @returns {Object} Stremio manifest
+ */
+function getManifest(config = {}, req) {
+    const tvdbLanguage = config.language || DEFAULT_LANGUAGE;
     const isValidLanguage = isValidTvdbLanguage(tvdbLanguage);
     const finalLanguage = isValidLanguage ? tvdbLanguage : DEFAULT_LANGUAGE;
     const languageDisplayName = getDisplayName(finalLanguage);
@@ -23,7 +30,7 @@ function getManifest(tvdbLanguage = DEFAULT_LANGUAGE, req) {
         
         resources: ['catalog', 'meta'],
         types: ['movie', 'series'],
-        idPrefixes: ['tvdb-', 'tt'],
+        idPrefixes: ['tvdb-', 'tt', 'tmdb:', 'kitsu:', 'mal:'],
         
         behaviorHints: {
             configurable: mode === 'catalog',
@@ -35,7 +42,7 @@ function getManifest(tvdbLanguage = DEFAULT_LANGUAGE, req) {
         background: 'https://thetvdb.com/images/background.jpg'
     };
     
-    manifest.catalogs = catalogConfig.getManifestCatalogs();
+    manifest.catalogs = catalogConfig.getManifestCatalogs(config.catalogs);
     
     return manifest;
 }
@@ -0,0 +1,83 @@
+/**
+ * Meta Links Utility
+ *
+ * Stremio `meta.links` for cast, directors, writers, genres and movie collections, opening this install's
+ * own search, genre and collection catalogs
+ */
+
+const catalogConfig = require('../config/catalogConfig');
+
+const PEOPLE_CATEGORIES = [
+    { field: 'cast', category: 'Cast' },
+    { field: 'director', category: 'Directors' },
+    { field: 'writer', category: 'Writers' }
+];
+
+function buildDiscoverUrl(transportUrl, type, catalogId, extraName, value) {
+    return `stremio:///discover/${encodeURIComponent(transportUrl)}/${type}/${catalogId}?${extraName}=${encodeURIComponent(value)}`;
+}
+
+/**
+ * Add links to a meta without changing it (metas are shared through the cache)
+ * @param {Object} meta - Stremio meta
+ * @param {string} transportUrl - Manifest URL of the install
+ * @param {Array} catalogs - Manifest catalogs of the install
+ * @returns {Object} Copy of the meta with its links
+ */
+function addMetaLinks(meta, transportUrl, catalogs) {
+    const hasExtra = (catalog, name) => (catalog.extra || []).some(extra => extra.name === name);
+    const ofType = catalogs.filter(catalog => catalog.type === meta.type);
+
+    const searchCatalog = ofType.find(catalog => catalogConfig.isSearchCatalog(catalog.id));
+    // Genres open a TVDB browse catalog when the install has one, as its genre filter is applied server-side
+    const genreCatalogs = ofType.filter(catalog => !catalogConfig.isSearchCatalog(catalog.id) && hasExtra(catalog, 'genre'));
+    const genreCatalog = genreCatalogs.find(catalog => catalogConfig.getCatalogById(catalog.id)?.provider === 'tvdb')
+        || genreCatalogs[0];
+
+    const links = [];
+
+    if (searchCatalog) {
+        PEOPLE_CATEGORIES.forEach(({ field, category }) => {
+            (meta[field] || []).forEach(name => links.push({
+                name,
+                category,
+                url: buildDiscoverUrl(transportUrl, meta.type, searchCatalog.id, 'search', `person:${name}`)
+            }));
+        });
+    }
+
+    if (genreCatalog) {
+        const genreOptions = genreCatalog.extra.find(extra => extra.name === 'genre').options || [];
+        (meta.genres || []).forEach(genre => {
+            const option = genreOptions.find(name => name.toLowerCase() === String(genre).toLowerCase());
+            if (option) {
+                links.push({
+                    name: genre,
+                    category: 'Genres',
+                    url: buildDiscoverUrl(transportUrl, meta.type, genreCatalog.id, 'genre', option)
+                });
+            }
+        });
+    }
+
+    // Movie collections open their catalog once the install has added it
+    const collectionCatalog = meta.collection &&
+        ofType.find(catalog => catalog.id === `tvdb-collection-${meta.collection.id}`);
+    if (collectionCatalog) {
+        links.push({
+            name: meta.collection.name,
+            category: 'Collection',
+            url: `stremio:///discover/${encodeURIComponent(transportUrl)}/${meta.type}/${collectionCatalog.id}`
+        });
+    }
+
+    if (links.length === 0) {
+        return meta;
+    }
+
+    return { ...meta, links: [...(meta.links || []), ...links] };
+}
+
+module.exports = {
+    addMetaLinks
+};
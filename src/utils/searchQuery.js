@@ -0,0 +1,130 @@
+/**
+ * Search Query Utility
+ *
+ * Query parsing (trailing release year), normalized retries and relevance ranking of TVDB search results
+ */
+
+const MIN_YEAR = 1880;
+const MAX_YEARS_AHEAD = 5;
+
+// Letters that do not decompose into a base letter and a diacritic
+const TRANSLITERATIONS = {
+    'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'đ': 'd', 'ð': 'd', 'ł': 'l', 'þ': 'th', 'ı': 'i'
+};
+
+/**
+ * Split a trailing release year from the query ("Dune 2021", "Dune (2021)")
+ * Numbers outside the plausible release range stay in the title ("Blade Runner 2049")
+ * @param {string} query - Raw search query
+ * @returns {Object} { text, year } - year is null when the query has none
+ */
+function parseSearchQuery(query, now = new Date()) {
+    const trimmed = String(query || '').trim();
+    const match = trimmed.match(/^(.+?)[\s,]+\(?(\d{4})\)?$/);
+
+    if (match) {
+        const year = parseInt(match[2], 10);
+        if (year >= MIN_YEAR && year <= now.getFullYear() + MAX_YEARS_AHEAD) {
+            return { text: match[1].trim(), year };
+        }
+    }
+
+    return { text: trimmed, year: null };
+}
+
+/**
+ * Lowercase, strip diacritics and punctuation, transliterate the remaining special letters
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeSearchText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[ßæœøđðłþı]/g, letter => TRANSLITERATIONS[letter])
+        .replace(/&/g, ' and ')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+/**
+ * Queries to try in order until one has results: the parsed text with its year, the normalized text,
+ * then the raw query without year (titles that end with a year, e.g. "Wonder Woman 1984")
+ * @param {string} query - Raw search query
+ * @returns {Array} [{ text, year }]
+ */
+function getSearchAttempts(query) {
+    const parsed = parseSearchQuery(query);
+    const attempts = [parsed, { text: normalizeSearchText(parsed.text), year: parsed.year }];
+    if (parsed.year) {
+        attempts.push({ text: String(query).trim(), year: null });
+    }
+
+    const seen = new Set();
+    return attempts.filter(attempt => {
+        const key = `${attempt.text}|${attempt.year}`;
+        if (!attempt.text || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+function getResultTitles(result) {
+    const translations = result.translations && typeof result.translations === 'object'
+        ? Object.values(result.translations)
+        : [];
+    return [result.name, result.title, result.name_translated, ...(result.aliases || []), ...translations]
+        .filter(title => typeof title === 'string' && title.trim())
+        .map(normalizeSearchText);
+}
+
+/**
+ * Relevance of one result: title or alias match first, then year proximity, then TVDB's own score
+ */
+function scoreResult(result, text, year) {
+    const titles = getResultTitles(result);
+    let score = 0;
+
+    if (titles.includes(text)) {
+        score += 100;
+    } else if (titles.some(title => title.startsWith(text))) {
+        score += 40;
+    } else if (titles.some(title => title.includes(text))) {
+        score += 20;
+    }
+
+    const resultYear = parseInt(result.year || String(result.first_air_time || '').substring(0, 4), 10);
+    if (year && resultYear) {
+        const distance = Math.abs(resultYear - year);
+        score += distance === 0 ? 30 : distance === 1 ? 15 : -Math.min(distance, 5) * 5;
+    }
+
+    if (result.score > 0) {
+        score += Math.log10(1 + result.score) * 5;
+    }
+
+    return score;
+}
+
+/**
+ * Re-rank search results, keeping TVDB's order between equally relevant results
+ * @param {Array} results - TVDB search results
+ * @param {Object} attempt - { text, year } the results were found with
+ * @returns {Array} Ranked results
+ */
+function rankSearchResults(results, { text, year = null }) {
+    const normalizedText = normalizeSearchText(text);
+
+    return results
+        .map((result, index) => ({ result, index, score: scoreResult(result, normalizedText, year) }))
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .map(entry => entry.result);
+}
+
+module.exports = {
+    parseSearchQuery,
+    normalizeSearchText,
+    getSearchAttempts,
+    rankSearchResults
+};
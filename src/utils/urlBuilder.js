@@ -29,6 +29,15 @@ function buildManifestUrl(req, language = null) {
     return `${baseUrl}/manifest.json`;
 }
 
+/**
+ * The manifest URL Stremio installed this addon from, used in deep links back to the install's own catalogs
+ */
+function buildTransportUrl(req) {
+    const baseUrl = getBaseUrl(req);
+    const config = req.params?.config;
+    return config ? `${baseUrl}/${config}/manifest.json` : `${baseUrl}/manifest.json`;
+}
+
 function buildCatalogUrl(req, type, id, language = null) {
     const baseUrl = getBaseUrl(req);
     if (language && language !== DEFAULT_LANGUAGE) {
@@ -70,6 +79,7 @@ function getAddonInfo(req) {
 module.exports = {
     getBaseUrl,
     buildManifestUrl,
+    buildTransportUrl,
     buildCatalogUrl,
     buildMetaUrl,
     getAddonInfo